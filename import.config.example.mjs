@@ -0,0 +1,145 @@
+/**
+ * Example import config.
+ *
+ * Copy to `import.config.mjs` (or pass `--config <path>`) to change the shape
+ * of the documents the importer writes. This file reproduces the built-in
+ * defaults, i.e. the Helixbytes `post` schema.
+ *
+ * Each entry in `fields` is keyed by the document field name:
+ * - type:     "string" | "date" | "slug" | "image" | "reference" | "array"
+ * - from:     frontmatter key to read (defaults to the field name)
+ * - required: fail validation if the frontmatter value is missing
+ *
+ * Type-specific options:
+ * - slug:      source   - frontmatter key slugified when `from` is absent
+ * - image:     alt      - frontmatter key holding alt text (required if the image is set)
+ *              hotspot  - frontmatter key holding { x, y, width?, height? } (fractions 0-1)
+ *              crop     - frontmatter key holding { top?, bottom?, left?, right? } (fractions 0-1)
+ *              caption  - frontmatter key holding the caption (stored on the field)
+ *              credit   - frontmatter key holding the asset's creditLine
+ *              source   - frontmatter key holding the asset's source (URL or { name, id, url })
+ *              title    - frontmatter key holding the asset's title
+ * - reference: to       - referenced document type
+ *              idFrom   - frontmatter key holding an existing document id
+ *              create   - create missing documents by name (like authors)
+ *              nameField - document field holding the name (default "name")
+ *              matchBy  - "name" (exact, default) or "slug" (ignores case/punctuation)
+ * - date:      default  - "now" fills in the current time
+ * - array:     of       - "string", or "reference" for an array of keyed
+ *                         references (same options as reference, plus `aliases`:
+ *                         variant spelling -> canonical name)
+ */
+export default {
+  // Target document `_type`
+  documentType: "post",
+
+  // Deterministic post id; {type} and {slug} are substituted. Referenced
+  // documents (authors, categories) always get "<type>-<slug>".
+  // Do not use dots: they are reserved for Sanity namespaces (drafts.).
+  idTemplate: "{type}-{slug}",
+
+  // Field receiving the Markdown body as Portable Text
+  bodyField: "body",
+
+  // Field receiving footnote definitions (only set when a post has footnotes)
+  footnotesField: "footnotes",
+
+  // Tables are plain @sanity/table `table` objects. Name an object type here
+  // (e.g. "richTable") to keep header rows, column alignment and inline marks.
+  richTableType: null,
+
+  // Frontmatter key with the post's status (draft | published | scheduled),
+  // and the date field that decides when a scheduled post goes live.
+  statusFrom: "status",
+  publishAtField: "publishedAt",
+
+  // Validate built documents against `sanity schema extract` output
+  // (run it with --enforce-required-fields to include required fields).
+  schema: null, // e.g. "./schema.json"
+
+  fields: {
+    title: { type: "string", required: true },
+    slug: { type: "slug", source: "title" },
+    author: { type: "reference", to: "author", idFrom: "authorId", create: true, required: true },
+    mainImage: {
+      type: "image",
+      alt: "mainImageAlt",
+      hotspot: "mainImageHotspot",
+      crop: "mainImageCrop",
+      caption: "mainImageCaption",
+      credit: "mainImageCredit",
+      source: "mainImageSource",
+      title: "mainImageTitle",
+      required: true,
+    },
+    publishedAt: { type: "date", default: "now" },
+    excerpt: { type: "string" },
+    categories: { type: "array", of: "string" },
+
+    // Categories as referenced `category` documents instead of loose strings.
+    // Each category is created on demand with a title and slug; "LLM", "llm"
+    // and the aliases below all resolve to one document:
+    // categories: {
+    //   type: "array",
+    //   of: "reference",
+    //   to: "category",
+    //   nameField: "title",
+    //   matchBy: "slug",
+    //   create: true,
+    //   aliases: {
+    //     "LLMs": "Large Language Models",
+    //     "large-language-models": "Large Language Models",
+    //   },
+    // },
+
+    // Co-authored posts: an array of author references. Entries are profile
+    // keys from AUTHORS_DIR (or names), e.g. `authors: [jane, bob]`:
+    // authors: { type: "array", of: "reference", to: "author", create: true, required: true },
+
+    // A site using `coverImage` and `tags` instead would declare e.g.:
+    // coverImage: { type: "image", from: "cover", alt: "coverAlt", required: true },
+    // tags: { type: "array", from: "tags", of: "string" },
+  },
+
+  // Optional processing before upload (needs `sharp`). Everything off by default.
+  images: {
+    maxWidth: null, // e.g. 2400: fit inside, never enlarge
+    maxHeight: null,
+    format: null, // "webp" or "avif" to convert; null keeps the original format
+    quality: 82, // JPEG/WebP/AVIF output only (PNG is never quantized)
+    stripMetadata: false, // true drops EXIF/GPS (orientation is applied first)
+    minCoverWidth: null, // warn when an image field is smaller, e.g. 1200 x 630
+    minCoverHeight: null,
+  },
+
+  // Author profiles from AUTHORS_DIR (`<key>.yml` or `<key>.md`): the document
+  // type they are upserted as and the fields receiving each part.
+  authorProfiles: {
+    documentType: "author",
+    nameField: "name",
+    bioField: "bio", // Portable Text
+    imageField: "image", // avatar
+    socialField: "social", // [{ _key, _type: "socialLink", platform, url }]
+  },
+
+  // Content rules checked by --check: "off", "warn", "error", or
+  // [severity, options]. Merged per rule over these defaults.
+  lint: {
+    "image-alt": "warn", // inline image without alt text (or sidecar alt)
+    "heading-increment": "warn", // e.g. H2 followed by H4
+    "single-h1": "warn",
+    "no-title-h1": "warn", // body H1 repeating the title
+    "excerpt-length": ["off", { field: "excerpt", min: 50, max: 160 }],
+    "known-author": "off", // author not in the dataset (one query per author)
+    "categories-not-empty": ["off", { field: "categories" }], // present but empty
+    "unique-slug": "error", // two files resolving to the same slug
+    "author-profile": "warn", // author without a profile (when AUTHORS_DIR exists)
+  },
+
+  // What to do with non-standard body blocks: "pass", "drop", or map them to a
+  // schema type. Merged per type over these defaults.
+  blockTypes: {
+    "horizontal-rule": { action: "map", to: { _type: "break", style: "lineBreak" } },
+    html: "pass",
+  },
+};
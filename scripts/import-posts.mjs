@@ -2,7 +2,9 @@
 /**
  * Helixbytes Sanity Importer (Headless Node CLI)
  *
- * Imports Markdown posts into Sanity according to your schemas:
+ * Imports Markdown posts into Sanity according to your schemas.
+ * The document shape is driven by an import config (import.config.mjs or
+ * import.config.json, or --config <path>); without one, the defaults are:
  * - post:
  *   - title (required)
  *   - slug (required)
@@ -16,33 +18,160 @@
  * - author:
  *   - name (required)
  *   - slug (required)
+ *   - from a profile in AUTHORS_DIR (optional): bio (Portable Text), image
+ *     (avatar) and social links
+ *
+ * Every document the importer creates carries `importedBy: "hlyx-blog-cli"`.
+ * --prune only ever touches documents with that marker.
  *
  * Key properties:
  * - Dry-run by default (no writes unless --write)
  * - --check exits non-zero if any file fails validation/import preparation
  * - --only <slug> imports a single post (by computed/explicit slug)
  * - --draft creates draft documents instead of published ones
+ * - --force re-imports posts even if they are unchanged since the last write
+ * - --diff prints a field-by-field diff against the live document before upserting
+ * - --prune deletes (or with --unpublish, unpublishes) importer-created posts
+ *   whose Markdown file no longer exists
+ * - --atomic uploads assets first, then commits all author/post mutations in a
+ *   single Sanity transaction (chunked if too large)
+ * - --concurrency <n> imports n posts at once; uploads and mutations are capped
+ *   at max(n, 4) in flight globally
+ * - --write runs keep a checkpoint of completed files and uploaded assets;
+ *   --resume continues an interrupted or failed run from it
+ * - --config <path> uses a specific import config file
+ * - --watch keeps running after the first pass and re-imports posts affected by
+ *   changes to their Markdown, referenced images/sidecars or linked posts
+ * - --report json|junit writes a machine-readable run report (per file: status,
+ *   slug, document id, mutations, assets, warnings, errors with line/column)
+ *   to --report-file <path>, or to stdout (progress output then goes to stderr)
+ *
+ * Publication status:
+ * - `status: draft | published | scheduled` in frontmatter decides per post
+ *   whether a draft or the published document is written (--draft makes
+ *   everything a draft). Without it, a future publishedAt means scheduled.
+ * - Scheduled posts are written as drafts and recorded in a schedule manifest
+ *   (IMPORT_STATE_DIR); `publish-due` publishes those whose time has come.
+ *   --now <datetime> replaces the clock for both (e.g. to test schedules).
+ *
+ * Commands (first argument; dry-run unless --write, one transaction each):
+ * - publish-due                 publish scheduled drafts that are due
+ * - publish <slug>              move drafts.<id> to <id>, with the
+ *                               importer-created drafts it references (authors)
+ * - unpublish <slug>            move <id> back to drafts.<id>
+ * - discard-draft <slug>        delete drafts.<id>, keeping the published doc
+ *   --type <type> targets another document type (e.g. author) by slug.
  *
  * Inline image support:
- * - Recognizes Markdown images:
+ * - Finds images with a markdown-it parse (code is never touched):
  *     ![alt](path "caption")
  *     ![alt](<path with spaces> "caption")
- *   Caption is optional.
+ *     ![alt][ref]  /  <img src alt title>  /  [![alt](path)](url)
+ *   Caption is optional; a link wrapped around an image becomes its `link`.
  * - Uploads the referenced image file to Sanity as an image asset
+ * - http(s) sources (inline and mainImage) are downloaded, validated by
+ *   sniffing the bytes, and cached under IMPORT_STATE_DIR/remote-images
  * - Replaces the image with a Portable Text `image` block:
- *     { _type: "image", asset: { _type: "reference", _ref }, alt, caption }
+ *     { _type: "image", asset: { _type: "reference", _ref }, alt, caption, link? }
+ *
+ * Code blocks:
+ * - Fenced code becomes a `code` object in the @sanity/code-input shape:
+ *     { _type: "code", language, code, filename?, highlightedLines? }
+ * - The fence info string supplies language, filename and highlighted lines:
+ *     ```ts title="app.ts" {3-5}
+ * - --check warns about languages code-input does not know
+ *
+ * Tables:
+ * - GitHub-flavored pipe tables become @sanity/table `table` objects:
+ *     { _type: "table", rows: [{ _type: "tableRow", cells: [string] }] }
+ *   Cells are plain text (all the @sanity/table schema holds): dropped inline
+ *   marks and column alignment are reported
+ * - With `richTableType` set (e.g. "richTable"), tables become that type and
+ *   keep the header row count, column alignments and inline marks:
+ *     { _type: "richTable", headerRows, columnAlignments,
+ *       rows: [{ _type: "richTableRow", cells: [string],
+ *                richCells: [{ _type: "richTableCell", content: PT }] }] }
+ * - Images inside cells are replaced by their alt text, with a warning
+ *
+ * Block type policy:
+ * - Non-standard block types from the converter (e.g. `horizontal-rule`, `html`)
+ *   are mapped to a schema type, passed through, or dropped per the config's
+ *   `blockTypes` (default: horizontal rules -> `{ _type: "break", style: "lineBreak" }`)
+ * - Every drop is reported per file; --check fails on types with no policy
+ *
+ * Footnotes:
+ * - `[^label]` references become a `footnote` annotation on a span showing the
+ *   footnote number: markDefs get { _type: "footnote", footnoteKey }
+ * - `[^label]: text` definitions become keyed entries in the post's `footnotes`
+ *   field: { _key, _type: "footnoteDefinition", label, number, content: PT }
+ * - --check reports references without a definition and unused definitions
+ *
+ * Links between posts:
+ * - Relative `.md` links (`./part-1.md`, `../posts/foo.md#section`) become an
+ *   `internalLink` annotation: { _type: "internalLink", reference, anchor? }
+ *   referencing the target post's id (weak, so link order never matters)
+ * - Links to missing files or files outside the run fail the file in --check
+ *   and stay plain links (with a warning) otherwise
+ *
+ * Image processing (optional, config `images`, uses sharp):
+ * - Resizes to fit maxWidth/maxHeight, converts to WebP/AVIF, strips EXIF/GPS
+ * - Warns when a cover (image field) is smaller than minCoverWidth/Height
+ * - Dedupe hashes the processed bytes, so changed settings upload new assets
+ *
+ * Image metadata:
+ * - Cover frontmatter (mainImageHotspot, mainImageCrop, mainImageCaption,
+ *   mainImageCredit, mainImageSource, mainImageTitle) is validated; hotspot,
+ *   crop and caption go on the image field, credit/source/title on the asset
+ * - Inline images read the same keys (plus alt) from a sidecar YAML file
+ *   next to the image: `photo.jpg.yml` (or `.yaml`)
+ *
+ * Schema validation (optional, config `schema`):
+ * - Loads the JSON written by `sanity schema extract` and checks every built
+ *   document against it before writing: field types, required fields, Portable
+ *   Text block/annotation types and styles
+ * - Violations fail the file, listed with their field path
+ *
+ * Author profiles (AUTHORS_DIR, default ./content/authors):
+ * - `<key>.yml`, `<key>.yaml` or `<key>.md` (Markdown body = bio) with name,
+ *   slug?, avatar, avatarAlt, bio and links ({ platform: url })
+ * - Upserted as author documents before the posts; posts reference them by
+ *   profile key (or name), and array reference fields allow co-authors
+ *
+ * Content lint (--check, config `lint`):
+ * - Rules with off/warn/error severities: inline image alt text, heading level
+ *   skips, a single H1, no H1 repeating the title, excerpt length, known
+ *   authors, author profiles, non-empty categories and unique slugs
+ * - Warnings are reported; errors fail the file
+ *
+ * Asset dedupe:
+ * - Images are keyed by content hash (sha1), not path
+ * - Hashes are checked against a local manifest (IMPORT_STATE_DIR), then against
+ *   existing `sanity.imageAsset` documents, so unchanged images are never re-sent
+ *
+ * Incremental imports:
+ * - Each written post records a fingerprint (frontmatter + body + image hashes)
+ * - Posts whose fingerprint matches the last write are skipped as "unchanged"
+ * - --force re-imports everything regardless of fingerprints
  *
  * Styling preservation:
  * - We convert Markdown -> Portable Text, but replace image placeholders (tokens)
  *   in a way that preserves span marks and markDefs (bold/italic/links/code).
  */
 
-import "dotenv/config";
+import dotenv from "dotenv";
 import fs from "node:fs";
 import path from "node:path";
 import crypto from "node:crypto";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { Console } from "node:console";
 import { globSync } from "glob";
 import matter from "gray-matter";
+import MarkdownIt from "markdown-it";
+import imageRule from "markdown-it/lib/rules_inline/image.mjs";
+import linkRule from "markdown-it/lib/rules_inline/link.mjs";
+import backticksRule from "markdown-it/lib/rules_inline/backticks.mjs";
+import htmlInlineRule from "markdown-it/lib/rules_inline/html_inline.mjs";
 import mime from "mime";
 import { createClient } from "@sanity/client";
 import { markdownToPortableText } from "@portabletext/markdown";
@@ -50,23 +179,86 @@ import { markdownToPortableText } from "@portabletext/markdown";
 // ------------------------------
 // Env + CLI args
 // ------------------------------
+
+// Only the CLI reads .env, arguments, the import config and state files and
+// talks to Sanity. Imported as a module (e.g. by the tests) it runs with the
+// defaults and no client, so nothing exits or touches disk on import.
+// Compared by real path so the CLI also runs when invoked through a symlink.
+const IS_CLI = isMainModule();
+
+function isMainModule() {
+  if (!process.argv[1]) return false;
+  try {
+    return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url));
+  } catch {
+    return false;
+  }
+}
+
+if (IS_CLI) dotenv.config({ quiet: true });
+
 const {
   SANITY_PROJECT_ID,
   SANITY_DATASET,
   SANITY_TOKEN,
   SANITY_API_VERSION = "2025-12-14",
   POSTS_DIR = "./content/posts",
+  AUTHORS_DIR = "./content/authors",
+  IMPORT_STATE_DIR = "./.import-state",
+  REMOTE_IMAGE_TIMEOUT_MS = "15000",
+  REMOTE_IMAGE_MAX_BYTES = String(10 * 1024 * 1024),
 } = process.env;
 
-if (!SANITY_PROJECT_ID || !SANITY_DATASET || !SANITY_TOKEN) {
+if (IS_CLI && (!SANITY_PROJECT_ID || !SANITY_DATASET || !SANITY_TOKEN)) {
   console.error("Missing env vars: SANITY_PROJECT_ID, SANITY_DATASET, SANITY_TOKEN");
   process.exit(1);
 }
 
-const args = process.argv.slice(2);
+// Remote image download limits: must be positive integers
+const REMOTE_TIMEOUT_MS = Number(REMOTE_IMAGE_TIMEOUT_MS);
+const REMOTE_MAX_BYTES = Number(REMOTE_IMAGE_MAX_BYTES);
+for (const [name, value] of [
+  ["REMOTE_IMAGE_TIMEOUT_MS", REMOTE_TIMEOUT_MS],
+  ["REMOTE_IMAGE_MAX_BYTES", REMOTE_MAX_BYTES],
+]) {
+  if (IS_CLI && (!Number.isInteger(value) || value < 1)) {
+    console.error(`Invalid env var ${name}: must be a positive integer`);
+    process.exit(1);
+  }
+}
+
+const args = IS_CLI ? process.argv.slice(2) : [];
+
+// Subcommands are a leading positional argument; without one, posts are imported
+const SLUG_COMMANDS = new Set(["publish", "unpublish", "discard-draft"]);
+const COMMANDS = new Set(["publish-due", ...SLUG_COMMANDS]);
+const COMMAND = args[0] && !args[0].startsWith("--") ? args[0] : null;
+if (COMMAND && !COMMANDS.has(COMMAND)) {
+  console.error(`Error: unknown command "${COMMAND}" (available: ${[...COMMANDS].join(", ")})`);
+  process.exit(1);
+}
+
+// publish / unpublish / discard-draft take the document's slug
+let COMMAND_SLUG = null;
+if (SLUG_COMMANDS.has(COMMAND)) {
+  COMMAND_SLUG = args[1];
+  if (!COMMAND_SLUG || COMMAND_SLUG.startsWith("--")) {
+    console.error(`Error: ${COMMAND} requires a slug argument`);
+    console.error(`Usage: node import-posts.mjs ${COMMAND} <slug> [--type <type>] [--write]`);
+    process.exit(1);
+  }
+}
+
 const WRITE = args.includes("--write");
 const CHECK = args.includes("--check");
 const DRAFT = args.includes("--draft");
+const FORCE = args.includes("--force");
+const DIFF = args.includes("--diff");
+const PRUNE = args.includes("--prune");
+const UNPUBLISH = args.includes("--unpublish");
+const ATOMIC = args.includes("--atomic");
+const RESUME = args.includes("--resume");
+const WATCH = args.includes("--watch");
 const onlyIdx = args.indexOf("--only");
 
 // Validate --only argument: must have a value that isn't another flag
@@ -81,13 +273,140 @@ if (onlyIdx >= 0) {
   ONLY = onlyValue;
 }
 
-const client = createClient({
-  projectId: SANITY_PROJECT_ID,
-  dataset: SANITY_DATASET,
-  token: SANITY_TOKEN,
-  apiVersion: SANITY_API_VERSION,
-  useCdn: false,
-});
+// Validate --config argument: must have a value that isn't another flag
+let CONFIG_PATH = null;
+const configIdx = args.indexOf("--config");
+if (configIdx >= 0) {
+  const configValue = args[configIdx + 1];
+  if (!configValue || configValue.startsWith("--")) {
+    console.error("Error: --config requires a path argument");
+    console.error("Usage: node import-posts.mjs --config <path>");
+    process.exit(1);
+  }
+  CONFIG_PATH = configValue;
+}
+
+// Validate --concurrency argument: must be a positive integer
+let CONCURRENCY = 1;
+const concurrencyIdx = args.indexOf("--concurrency");
+if (concurrencyIdx >= 0) {
+  const value = Number(args[concurrencyIdx + 1]);
+  if (!Number.isInteger(value) || value < 1) {
+    console.error("Error: --concurrency requires a positive integer");
+    console.error("Usage: node import-posts.mjs --concurrency <n>");
+    process.exit(1);
+  }
+  CONCURRENCY = value;
+}
+
+// Validate --report / --report-file arguments
+const REPORT_FORMATS = new Set(["json", "junit"]);
+let REPORT = null;
+const reportIdx = args.indexOf("--report");
+if (reportIdx >= 0) {
+  const value = args[reportIdx + 1];
+  if (!REPORT_FORMATS.has(value)) {
+    console.error(`Error: --report requires a format (${[...REPORT_FORMATS].join(", ")})`);
+    console.error("Usage: node import-posts.mjs --report <format> [--report-file <path>]");
+    process.exit(1);
+  }
+  REPORT = value;
+}
+let REPORT_FILE = null;
+const reportFileIdx = args.indexOf("--report-file");
+if (reportFileIdx >= 0) {
+  const value = args[reportFileIdx + 1];
+  if (!REPORT) {
+    console.error("Error: --report-file is only valid together with --report");
+    process.exit(1);
+  }
+  if (!value || value.startsWith("--")) {
+    console.error("Error: --report-file requires a path argument");
+    console.error("Usage: node import-posts.mjs --report <format> --report-file <path>");
+    process.exit(1);
+  }
+  REPORT_FILE = value;
+}
+// With the report on stdout, the importer's own output goes to stderr so the
+// report can be piped. Only our log calls are redirected, never `console`.
+const logConsole = REPORT && !REPORT_FILE ? new Console(process.stderr) : console;
+
+// Validate --now argument: must be a parseable date/time
+let NOW = null;
+const nowIdx = args.indexOf("--now");
+if (nowIdx >= 0) {
+  const value = args[nowIdx + 1];
+  if (!value || value.startsWith("--") || Number.isNaN(Date.parse(value))) {
+    console.error("Error: --now requires a date/time (e.g. 2026-01-31T09:00:00Z)");
+    console.error("Usage: node import-posts.mjs --now <datetime>");
+    process.exit(1);
+  }
+  NOW = new Date(value);
+}
+
+// Validate --type argument: must have a value that isn't another flag
+let COMMAND_TYPE = null;
+const typeIdx = args.indexOf("--type");
+if (typeIdx >= 0) {
+  const value = args[typeIdx + 1];
+  if (!SLUG_COMMANDS.has(COMMAND)) {
+    console.error(`Error: --type is only valid with ${[...SLUG_COMMANDS].join(", ")}`);
+    process.exit(1);
+  }
+  if (!value || value.startsWith("--")) {
+    console.error("Error: --type requires a document type");
+    console.error(`Usage: node import-posts.mjs ${COMMAND} <slug> --type <type>`);
+    process.exit(1);
+  }
+  COMMAND_TYPE = value;
+}
+
+// Commands act on documents already in Sanity; import options don't apply
+if (COMMAND) {
+  const importFlags = ["--check", "--draft", "--only", "--force", "--diff", "--prune", "--atomic", "--resume", "--watch", "--concurrency", "--report"];
+  if (COMMAND !== "publish-due") importFlags.push("--now");
+  for (const flag of importFlags) {
+    if (args.includes(flag)) {
+      console.error(`Error: ${flag} cannot be used with ${COMMAND}`);
+      process.exit(1);
+    }
+  }
+}
+
+// --prune needs the full set of files to know which posts are orphaned
+if (PRUNE && ONLY) {
+  console.error("Error: --prune cannot be combined with --only");
+  process.exit(1);
+}
+if (UNPUBLISH && !PRUNE) {
+  console.error("Error: --unpublish is only valid together with --prune");
+  process.exit(1);
+}
+if (RESUME && !WRITE) {
+  console.error("Error: --resume requires --write (dry-runs have nothing to resume)");
+  process.exit(1);
+}
+// --watch re-imports single posts as they change; whole-run modes don't fit
+for (const [flag, enabled] of [["--prune", PRUNE], ["--atomic", ATOMIC], ["--resume", RESUME], ["--report", REPORT]]) {
+  if (WATCH && enabled) {
+    console.error(`Error: --watch cannot be combined with ${flag}`);
+    process.exit(1);
+  }
+}
+if (UNPUBLISH && DRAFT) {
+  console.error("Error: --unpublish cannot be combined with --draft (drafts are not published)");
+  process.exit(1);
+}
+
+const client = IS_CLI
+  ? createClient({
+    projectId: SANITY_PROJECT_ID,
+    dataset: SANITY_DATASET,
+    token: SANITY_TOKEN,
+    apiVersion: SANITY_API_VERSION,
+    useCdn: false,
+  })
+  : null;
 
 // Valid image MIME types
 const VALID_IMAGE_TYPES = new Set([
@@ -102,10 +421,454 @@ const VALID_IMAGE_TYPES = new Set([
 // Track slugs across files to detect collisions
 const slugToFile = new Map();
 
+// Absolute paths of every Markdown file in this run (links may only target these)
+const runFiles = new Set();
+
+/**
+ * Markdown posts under POSTS_DIR, leaving out author profiles should
+ * AUTHORS_DIR live inside it.
+ */
+function globPostFiles() {
+  return globSync(path.join(POSTS_DIR, "**/*.md")).filter((f) => !isInsideDir(f, AUTHORS_DIR));
+}
+
+/**
+ * Local state files are scoped per project + dataset so switching SANITY_DATASET
+ * never reuses asset ids that only exist in another dataset.
+ */
+const STATE_SCOPE = `${SANITY_PROJECT_ID}.${SANITY_DATASET}`;
+const ASSET_MANIFEST_PATH = path.join(IMPORT_STATE_DIR, `assets.${STATE_SCOPE}.json`);
+const POST_STATE_PATH = path.join(IMPORT_STATE_DIR, `posts.${STATE_SCOPE}.json`);
+const CHECKPOINT_PATH = path.join(IMPORT_STATE_DIR, `checkpoint.${STATE_SCOPE}.json`);
+const SCHEDULE_PATH = path.join(IMPORT_STATE_DIR, `schedule.${STATE_SCOPE}.json`);
+
+/**
+ * Downloaded remote images, keyed by URL hash. Not scoped: the bytes behind a
+ * URL don't depend on the target dataset.
+ */
+const REMOTE_IMAGE_CACHE_DIR = path.join(IMPORT_STATE_DIR, "remote-images");
+
+/**
+ * Bump whenever the importer changes the shape of the documents it builds,
+ * so every post's fingerprint changes and the next run rewrites it.
+ */
+const FINGERPRINT_VERSION = 9;
+
+/**
+ * Marker written onto every document the importer creates.
+ * --prune refuses to touch documents without it.
+ */
+const IMPORTER_MARKER = "hlyx-blog-cli";
+
+/**
+ * Transaction chunk limits for --atomic. A run that fits in one chunk is fully
+ * atomic; larger runs are split and committed chunk by chunk.
+ */
+const MAX_TRANSACTION_MUTATIONS = 100;
+const MAX_TRANSACTION_BYTES = 2 * 1024 * 1024;
+
+/**
+ * --watch waits this long after the last change before re-importing, so an
+ * editor's burst of writes (or a copied folder of images) is one run.
+ */
+const WATCH_DEBOUNCE_MS = 300;
+
+// ------------------------------
+// Import config (schema mapping)
+// ------------------------------
+
+/**
+ * Field types an import config may map frontmatter keys to.
+ */
+const FIELD_TYPES = new Set(["string", "date", "slug", "image", "reference", "array"]);
+
+/**
+ * Config files looked up in the working directory when --config is not given.
+ */
+const DEFAULT_CONFIG_FILES = ["import.config.mjs", "import.config.json"];
+
+/**
+ * Default mapping, matching the Helixbytes `post` schema.
+ *
+ * Each entry in `fields` is keyed by the document field name:
+ * - type:     one of FIELD_TYPES
+ * - from:     frontmatter key (defaults to the field name)
+ * - required: fail validation when the frontmatter value is missing
+ * - slug:      `source` is the frontmatter key slugified when `from` is absent
+ * - image:     `alt` is the frontmatter key holding alt text (required if the image is set);
+ *              `hotspot`, `crop`, `caption`, `credit`, `source` and `title` name
+ *              the frontmatter keys for image metadata (see IMAGE_METADATA_KEYS)
+ * - reference: `to` is the referenced type, `idFrom` an optional frontmatter key
+ *              holding a document id, `create` creates missing documents by name,
+ *              `nameField` is the field holding the name (default "name"),
+ *              `matchBy: "slug"` matches existing documents by slugified name
+ * - date:      `default: "now"` fills in the current time
+ * - array:     `of: "string"` (array of strings), or `of: "reference"` (array of
+ *              keyed references; takes the reference options above plus
+ *              `aliases`, a map of variant spelling -> canonical name)
+ *
+ * `footnotesField` receives the post's footnote definitions (only set when the
+ * post has footnotes).
+ *
+ * `richTableType` writes tables as that object type, keeping header rows,
+ * alignment and inline marks (see buildTableBlock); null writes plain
+ * @sanity/table tables.
+ *
+ * `statusFrom` is the frontmatter key holding the post's publication status
+ * (see resolvePostStatus), and `publishAtField` the date field that decides
+ * when a scheduled post goes live (null, or a field the config doesn't have,
+ * disables scheduling).
+ *
+ * `images` configures optional processing before upload (see processImage):
+ * maxWidth/maxHeight (fit inside, never enlarge), format ("webp" | "avif",
+ * null keeps the original), quality (1-100), stripMetadata (drop EXIF/GPS),
+ * and minCoverWidth/minCoverHeight (warn about small image fields).
+ * It is merged per key over the defaults below, which process nothing.
+ *
+ * `schema` is an optional path to a `sanity schema extract` JSON file; built
+ * documents are validated against it (see validateDocumentAgainstSchema).
+ *
+ * `authorProfiles` maps profiles from AUTHORS_DIR onto author documents:
+ * the document type and the fields receiving name, bio, avatar image and
+ * social links. It is merged per key over the defaults below.
+ *
+ * `lint` configures the --check content rules (see LINT_RULES): rule id ->
+ * "off" | "warn" | "error", or [severity, options]. It is merged per rule over
+ * the defaults below; options merge over each rule's default options.
+ *
+ * `blockTypes` is the block type policy for non-standard body blocks:
+ * block `_type` -> "pass" | "drop" | { action: "map", to: { _type, ...fields } }.
+ * It is merged per type over the defaults below.
+ */
+const DEFAULT_IMPORT_CONFIG = {
+  documentType: "post",
+  idTemplate: "{type}-{slug}",
+  bodyField: "body",
+  footnotesField: "footnotes",
+  richTableType: null,
+  statusFrom: "status",
+  publishAtField: "publishedAt",
+  schema: null,
+  fields: {
+    title: { type: "string", required: true },
+    slug: { type: "slug", source: "title" },
+    author: { type: "reference", to: "author", idFrom: "authorId", create: true, required: true },
+    mainImage: {
+      type: "image",
+      alt: "mainImageAlt",
+      hotspot: "mainImageHotspot",
+      crop: "mainImageCrop",
+      caption: "mainImageCaption",
+      credit: "mainImageCredit",
+      source: "mainImageSource",
+      title: "mainImageTitle",
+      required: true,
+    },
+    publishedAt: { type: "date", default: "now" },
+    excerpt: { type: "string" },
+    categories: { type: "array", of: "string" },
+  },
+  images: {
+    maxWidth: null,
+    maxHeight: null,
+    format: null,
+    quality: 82,
+    stripMetadata: false,
+    minCoverWidth: null,
+    minCoverHeight: null,
+  },
+  authorProfiles: {
+    documentType: "author",
+    nameField: "name",
+    bioField: "bio",
+    imageField: "image",
+    socialField: "social",
+  },
+  lint: {
+    "image-alt": "warn",
+    "heading-increment": "warn",
+    "single-h1": "warn",
+    "no-title-h1": "warn",
+    "excerpt-length": ["off", { field: "excerpt", min: 50, max: 160 }],
+    "known-author": "off",
+    "categories-not-empty": ["off", { field: "categories" }],
+    "unique-slug": "error",
+    "author-profile": "warn",
+  },
+  blockTypes: {
+    "horizontal-rule": { action: "map", to: { _type: "break", style: "lineBreak" } },
+    html: "pass",
+  },
+};
+
+/**
+ * Output formats `images.format` may convert to.
+ */
+const IMAGE_OUTPUT_FORMATS = new Set(["webp", "avif"]);
+
+const LINT_SEVERITIES = new Set(["off", "warn", "error"]);
+
+/**
+ * Validate a merged import config. Throws on the first structural problem.
+ */
+function validateImportConfig(config, source) {
+  const fail = (msg) => {
+    throw new Error(`Invalid import config (${source}): ${msg}`);
+  };
+
+  if (!config.documentType || typeof config.documentType !== "string") {
+    fail("'documentType' must be a non-empty string");
+  }
+  if (typeof config.idTemplate !== "string" || !config.idTemplate.includes("{slug}")) {
+    fail("'idTemplate' must be a string containing {slug}");
+  }
+  // Dots are reserved for Sanity namespaces (see makeDocumentId).
+  if (config.idTemplate.includes(".")) {
+    fail("'idTemplate' must not contain dots");
+  }
+  if (!config.bodyField || typeof config.bodyField !== "string") {
+    fail("'bodyField' must be a non-empty string");
+  }
+  if (!config.footnotesField || typeof config.footnotesField !== "string") {
+    fail("'footnotesField' must be a non-empty string");
+  }
+  if (config.richTableType != null) {
+    const type = config.richTableType;
+    if (typeof type !== "string" || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(type) || ["block", "image", "code", "table"].includes(type)) {
+      fail("'richTableType' must be null or a type name other than block, image, code and table");
+    }
+  }
+  if (!config.statusFrom || typeof config.statusFrom !== "string") {
+    fail("'statusFrom' must be a non-empty string");
+  }
+  // A config without the field simply has no scheduling (see resolvePostStatus)
+  const publishAtSpec = config.publishAtField != null && config.fields?.[config.publishAtField];
+  if (publishAtSpec && publishAtSpec.type !== "date") {
+    fail(`'publishAtField' must name a field of type 'date' (got '${config.publishAtField}': ${publishAtSpec.type})`);
+  }
+  if (config.schema != null && (typeof config.schema !== "string" || !config.schema)) {
+    fail("'schema' must be a path to a schema JSON file or null");
+  }
+  if (!config.fields || typeof config.fields !== "object") {
+    fail("'fields' must be an object");
+  }
+
+  const entries = Object.entries(config.fields);
+  for (const [key, spec] of entries) {
+    if (!FIELD_TYPES.has(spec?.type)) {
+      fail(`field '${key}' has unknown type "${spec?.type}" (allowed: ${[...FIELD_TYPES].join(", ")})`);
+    }
+    if (spec.type === "array" && spec.of !== "string" && spec.of !== "reference") {
+      fail(`array field '${key}' must declare of: "string" or of: "reference"`);
+    }
+    const isReference = spec.type === "reference" || (spec.type === "array" && spec.of === "reference");
+    if (isReference && !spec.to) fail(`reference field '${key}' needs 'to'`);
+    // nameField is interpolated into GROQ, so it must be a plain identifier.
+    if (spec.nameField && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(spec.nameField)) {
+      fail(`field '${key}' has invalid nameField "${spec.nameField}"`);
+    }
+    if (spec.matchBy && spec.matchBy !== "name" && spec.matchBy !== "slug") {
+      fail(`field '${key}' has invalid matchBy "${spec.matchBy}" (allowed: name, slug)`);
+    }
+  }
+
+  const slugFields = entries.filter(([, spec]) => spec.type === "slug");
+  if (slugFields.length !== 1) fail("exactly one field must have type 'slug'");
+
+  const images = config.images || {};
+  for (const key of ["maxWidth", "maxHeight", "minCoverWidth", "minCoverHeight"]) {
+    if (images[key] != null && (!Number.isInteger(images[key]) || images[key] < 1)) {
+      fail(`'images.${key}' must be a positive integer or null`);
+    }
+  }
+  if (images.format != null && !IMAGE_OUTPUT_FORMATS.has(images.format)) {
+    fail(`'images.format' must be one of ${[...IMAGE_OUTPUT_FORMATS].join(", ")} or null`);
+  }
+  if (!Number.isInteger(images.quality) || images.quality < 1 || images.quality > 100) {
+    fail("'images.quality' must be an integer from 1 to 100");
+  }
+  if (typeof images.stripMetadata !== "boolean") {
+    fail("'images.stripMetadata' must be a boolean");
+  }
+
+  for (const [key, value] of Object.entries(config.authorProfiles || {})) {
+    if (!value || typeof value !== "string") fail(`'authorProfiles.${key}' must be a non-empty string`);
+  }
+
+  for (const [rule, setting] of Object.entries(config.lint || {})) {
+    // The defaults list every rule (see LINT_RULES)
+    if (!(rule in DEFAULT_IMPORT_CONFIG.lint)) {
+      fail(`lint rule '${rule}' is unknown (available: ${Object.keys(DEFAULT_IMPORT_CONFIG.lint).join(", ")})`);
+    }
+    const { severity, options } = normalizeLintSetting(setting);
+    if (!LINT_SEVERITIES.has(severity)) {
+      fail(`lint rule '${rule}' has unknown severity "${severity}" (allowed: ${[...LINT_SEVERITIES].join(", ")})`);
+    }
+    if (options !== undefined && (typeof options !== "object" || options === null || Array.isArray(options))) {
+      fail(`lint rule '${rule}' options must be an object`);
+    }
+  }
+
+  for (const [type, policy] of Object.entries(config.blockTypes || {})) {
+    const { action, to } = normalizeBlockPolicy(policy);
+    if (!["pass", "drop", "map"].includes(action)) {
+      fail(`blockTypes '${type}' has unknown action "${action}" (allowed: pass, drop, map)`);
+    }
+    if (action === "map" && !to?._type) {
+      fail(`blockTypes '${type}' maps to an object without '_type'`);
+    }
+  }
+}
+
+/**
+ * Block policies may be written as a bare action string ("pass" / "drop").
+ */
+function normalizeBlockPolicy(policy) {
+  return typeof policy === "string" ? { action: policy } : { ...policy };
+}
+
+/**
+ * Load the import config from --config, or from the first default config file
+ * found in the working directory. Falls back to DEFAULT_IMPORT_CONFIG.
+ *
+ * A config replaces `fields` wholesale; other top-level keys default individually.
+ */
+async function loadImportConfig() {
+  const configPath = CONFIG_PATH || DEFAULT_CONFIG_FILES.find((f) => fs.existsSync(f));
+  if (!configPath) return { config: DEFAULT_IMPORT_CONFIG, source: "built-in defaults" };
+
+  const absPath = path.resolve(configPath);
+  let userConfig;
+  if (absPath.endsWith(".json")) {
+    const raw = readFileWithContext(absPath, "import config", "utf8");
+    try {
+      userConfig = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`Failed to parse import config: ${absPath} (${err.message})`);
+    }
+  } else {
+    if (!fs.existsSync(absPath)) throw new Error(`Import config not found: ${absPath}`);
+    userConfig = (await import(pathToFileURL(absPath).href)).default;
+  }
+
+  const config = {
+    ...DEFAULT_IMPORT_CONFIG,
+    ...userConfig,
+    images: { ...DEFAULT_IMPORT_CONFIG.images, ...userConfig?.images },
+    blockTypes: { ...DEFAULT_IMPORT_CONFIG.blockTypes, ...userConfig?.blockTypes },
+    authorProfiles: { ...DEFAULT_IMPORT_CONFIG.authorProfiles, ...userConfig?.authorProfiles },
+    lint: { ...DEFAULT_IMPORT_CONFIG.lint, ...userConfig?.lint },
+  };
+  validateImportConfig(config, configPath);
+  return { config, source: configPath };
+}
+
+let importConfig;
+let importConfigSource;
+try {
+  ({ config: importConfig, source: importConfigSource } = IS_CLI
+    ? await loadImportConfig()
+    : { config: DEFAULT_IMPORT_CONFIG, source: "built-in defaults" });
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
+
+/**
+ * The frontmatter key a configured field reads from.
+ */
+function fieldSource(key, spec) {
+  return spec.from || key;
+}
+
+/**
+ * Resolve a variant spelling through a field's `aliases` map.
+ * Alias keys are compared by slug, so "LLM", "llm" and "L.L.M." all match.
+ */
+function resolveAlias(spec, name) {
+  const slug = slugify(name);
+  for (const [variant, canonical] of Object.entries(spec.aliases || {})) {
+    if (slugify(variant) === slug) return String(canonical);
+  }
+  return name;
+}
+
+/**
+ * Configured fields of a given type, as [fieldName, spec] pairs.
+ */
+function fieldsOfType(type) {
+  return Object.entries(importConfig.fields).filter(([, spec]) => spec.type === type);
+}
+
 // ------------------------------
 // Utilities
 // ------------------------------
 
+/**
+ * Per-file log buffer. With --concurrency > 1, output produced while importing
+ * a file is collected here and printed as one block when the file finishes,
+ * so lines from different files never interleave.
+ */
+const fileLogStore = new AsyncLocalStorage();
+
+function emitLog(method, parts) {
+  const buffer = fileLogStore.getStore();
+  if (buffer) buffer.push([method, parts]);
+  else logConsole[method](...parts);
+}
+
+function log(...parts) {
+  emitLog("log", parts);
+}
+
+function logWarn(...parts) {
+  reportWarning(parts);
+  emitLog("warn", parts);
+}
+
+function logError(...parts) {
+  emitLog("error", parts);
+}
+
+/**
+ * Create a limiter that runs at most `max` async tasks at once.
+ * Usage: const limit = createLimiter(4); await limit(() => doWork());
+ */
+function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return (fn) => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Minimum number of in-flight requests, so a single post still uploads its
+ * inline images in parallel at the default --concurrency 1.
+ */
+const MIN_REQUEST_LIMIT = 4;
+
+/**
+ * Global cap on in-flight asset uploads and document mutations, shared by all
+ * posts being imported concurrently.
+ */
+const requestLimit = createLimiter(Math.max(CONCURRENCY, MIN_REQUEST_LIMIT));
+
 /**
  * Generate a unique key for Portable Text blocks/spans.
  * Sanity requires _key on all array items in Portable Text.
@@ -127,6 +890,14 @@ function slugify(input) {
   return slug;
 }
 
+/**
+ * Whether a value is an absolute http(s) URL. For general links (credit
+ * sources, social profiles); image sources go through isRemoteImageSrc.
+ */
+function isHttpUrl(value) {
+  return /^https?:\/\//i.test(String(value || ""));
+}
+
 /**
  * Resolve a path relative to the Markdown file location.
  * This makes `mainImage: "./assets/cover.png"` work reliably per file.
@@ -153,13 +924,32 @@ function validateImageType(absPath) {
 }
 
 /**
- * Generate document ID with optional draft prefix.
+ * Generate document ID with optional draft prefix. Posts use the config's
+ * `idTemplate`; referenced documents (authors, categories) always use
+ * `<type>-<slug>`, so a template without {type} cannot give a post and an
+ * author the same id.
  * NOTE: Using dash separator, NOT dot. Dots are reserved for Sanity namespaces
  * (e.g., drafts.) and cause documents to be invisible via the public API.
  */
-function makeDocumentId(type, slug) {
-  const baseId = `${type}-${slug}`;
-  return DRAFT ? `drafts.${baseId}` : baseId;
+function makeDocumentId(type, slug, { draft = DRAFT } = {}) {
+  const baseId = type === importConfig.documentType
+    ? importConfig.idTemplate.replaceAll("{type}", type).replaceAll("{slug}", slug)
+    : `${type}-${slug}`;
+  return draft ? `drafts.${baseId}` : baseId;
+}
+
+/**
+ * The published id for a document id (drafts and published share a base id).
+ */
+function publishedIdOf(id) {
+  return id.replace(/^drafts\./, "");
+}
+
+/**
+ * The current time, or the one injected with --now.
+ */
+function currentTime() {
+  return NOW ? new Date(NOW) : new Date();
 }
 
 /**
@@ -184,7 +974,7 @@ async function withRetry(fn, { maxRetries = 3, baseDelay = 1000, context = "oper
       }
 
       const delay = baseDelay * Math.pow(2, attempt - 1);
-      console.log(`  [retry] ${context}: attempt ${attempt + 1}/${maxRetries} in ${delay}ms...`);
+      log(`  [retry] ${context}: attempt ${attempt + 1}/${maxRetries} in ${delay}ms...`);
       await new Promise((r) => setTimeout(r, delay));
     }
   }
@@ -209,570 +999,4073 @@ function readFileWithContext(filePath, context, encoding = null) {
   }
 }
 
+/**
+ * SHA-1 of a buffer as hex. This is the same hash Sanity stores in
+ * `sanity.imageAsset.sha1hash`, so it can be matched against the dataset.
+ */
+function sha1(buf) {
+  return crypto.createHash("sha1").update(buf).digest("hex");
+}
+
+// ------------------------------
+// Local state files
+// ------------------------------
+
+/**
+ * Load a JSON state file, returning `fallback` if it does not exist yet (or
+ * when imported as a module). A corrupt file is an error: silently discarding
+ * it would lose state.
+ */
+function loadJsonState(filePath, fallback) {
+  if (!IS_CLI || !fs.existsSync(filePath)) return fallback;
+  const raw = readFileWithContext(filePath, "state file", "utf8");
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Failed to parse state file: ${filePath} (${err.message})`);
+  }
+}
+
+/**
+ * Write a JSON state file atomically (temp file + rename), so an interrupted
+ * run never leaves a half-written file behind.
+ */
+function saveJsonState(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2) + "\n");
+  fs.renameSync(tmpPath, filePath);
+}
+
 // ------------------------------
 // Image asset upload with dedupe
 // ------------------------------
 
 /**
- * Dedupe image uploads within a single run:
- * absPath -> assetId
+ * Dedupe image uploads by content hash:
+ * sha1 -> assetId
  *
- * This avoids uploading the same file multiple times if:
- * - a post references the same image repeatedly, or
- * - multiple posts share the same asset (logo/diagram/etc.).
+ * This avoids uploading the same bytes multiple times if:
+ * - a post references the same image repeatedly,
+ * - multiple posts share the same asset (logo/diagram/etc.), or
+ * - the same file exists at two different paths.
  */
 const assetCache = new Map();
 
 /**
  * Track in-flight upload promises to prevent race conditions.
- * Multiple concurrent calls for the same path will share a single upload.
+ * Multiple concurrent calls for the same content hash will share a single upload.
  */
 const uploadPromises = new Map();
 
 /**
- * Upload a local image file into Sanity as an image asset.
- * Returns the asset document (at least contains _id).
- *
- * In dry-run mode, we do not upload; we return a synthetic id for continuity.
+ * Persistent asset manifest (survives across runs):
+ * { version, assets: { [sha1]: { _id, filename, uploadedAt } } }
+ *
+ * Only updated in --write mode; dry-runs read it but never record anything.
+ */
+const assetManifest = loadJsonState(ASSET_MANIFEST_PATH, { version: 1, assets: {} });
+
+function recordAssetInManifest(hash, assetId, filename) {
+  assetManifest.assets[hash] = {
+    _id: assetId,
+    filename,
+    uploadedAt: new Date().toISOString(),
+  };
+  saveJsonState(ASSET_MANIFEST_PATH, assetManifest);
+}
+
+let manifestCheck = null;
+
+/**
+ * Drop manifest entries whose asset no longer exists in the dataset (e.g.
+ * deleted in the Studio), so those images are uploaded again instead of
+ * leaving dangling references. One query per run, the first time the
+ * manifest is consulted (retried by the next caller if it fails).
+ */
+function verifyManifestAssets() {
+  manifestCheck ??= (async () => {
+    const entries = Object.entries(assetManifest.assets);
+    if (entries.length === 0) return;
+
+    const existing = new Set(await withRetry(
+      () => client.fetch(`*[_id in $ids]._id`, { ids: entries.map(([, asset]) => asset._id) }),
+      { context: "verify cached asset ids" }
+    ));
+    const stale = entries.filter(([, asset]) => !existing.has(asset._id));
+    if (stale.length === 0) return;
+
+    for (const [hash] of stale) delete assetManifest.assets[hash];
+    if (WRITE) saveJsonState(ASSET_MANIFEST_PATH, assetManifest);
+    logWarn(`  [warn] ${stale.length} cached asset(s) no longer exist in ${SANITY_DATASET} (they will be uploaded again)`);
+  })().catch((err) => {
+    // Let the next image retry the check instead of failing for the whole run
+    manifestCheck = null;
+    throw err;
+  });
+  return manifestCheck;
+}
+
+/**
+ * Look up an existing image asset for the given content hash.
+ * Checks the local manifest first (verified against the dataset once per
+ * run), then the dataset itself.
+ * Returns { _id, source } or null if the image has never been uploaded.
+ */
+async function findExistingImageAsset(hash, filename) {
+  await verifyManifestAssets();
+  const fromManifest = assetManifest.assets[hash];
+  if (fromManifest?._id) return { _id: fromManifest._id, source: "manifest" };
+
+  const existing = await withRetry(
+    () => client.fetch(
+      `*[_type=="sanity.imageAsset" && sha1hash==$hash][0]{_id}`,
+      { hash }
+    ),
+    { context: `lookup asset ${filename}` }
+  );
+  if (existing?._id) return { _id: existing._id, source: "dataset" };
+
+  return null;
+}
+
+/**
+ * Read a local image file for upload. The type is taken from the extension.
+ * Returns { buf, filename, contentType }.
+ */
+function readLocalImage(absPath) {
+  // Validate image type before reading
+  const contentType = validateImageType(absPath);
+  const buf = readFileWithContext(absPath, "image asset");
+  return { buf, filename: path.basename(absPath), contentType };
+}
+
+/**
+ * Upload an image (from readLocalImage/fetchRemoteImage) into Sanity as an
+ * image asset. Returns the asset document (at least contains _id).
+ *
+ * Images already present in the manifest or the dataset (matched by content
+ * hash) are reused instead of re-uploaded.
+ *
+ * In dry-run mode, we do not upload; we return a synthetic id for continuity.
  *
  * Race condition protection: If an upload is already in progress for the same
- * path, returns the existing promise instead of starting a duplicate upload.
+ * content, returns the existing promise instead of starting a duplicate upload.
  */
-async function uploadImageAsset(absPath) {
+async function uploadImageAsset({ buf, filename, contentType }) {
+  const hash = sha1(buf);
+
   // Check completed cache first
-  if (assetCache.has(absPath)) {
-    return { _id: assetCache.get(absPath) };
+  if (assetCache.has(hash)) {
+    reportAsset(filename, assetCache.get(hash), WRITE ? "reused" : "planned");
+    return { _id: assetCache.get(hash) };
   }
 
   // Check for in-flight upload (race condition prevention)
-  if (uploadPromises.has(absPath)) {
-    return uploadPromises.get(absPath);
+  if (uploadPromises.has(hash)) {
+    const asset = await uploadPromises.get(hash);
+    reportAsset(filename, asset._id, WRITE ? "reused" : "planned");
+    return asset;
   }
 
   // Create the upload promise and track it
   const uploadPromise = (async () => {
-    // Validate image type before reading
-    const contentType = validateImageType(absPath);
-
-    const buf = readFileWithContext(absPath, "image asset");
-    const filename = path.basename(absPath);
+    const existing = await findExistingImageAsset(hash, filename);
+    if (existing) {
+      assetCache.set(hash, existing._id);
+      reportAsset(filename, existing._id, "reused");
+      if (!WRITE) {
+        log(`  [dry] would reuse image asset: ${filename} -> ${existing._id} (${existing.source})`);
+      } else {
+        // Remember dataset hits locally so the next run skips the query.
+        if (existing.source === "dataset") recordAssetInManifest(hash, existing._id, filename);
+        log(`  [reuse] ${filename} -> ${existing._id} (${existing.source})`);
+      }
+      return { _id: existing._id };
+    }
 
     if (!WRITE) {
-      // Dry-run: do not upload. Still cache a deterministic-ish id so repeated
+      // Dry-run: do not upload. Still cache a deterministic id so repeated
       // references reuse the same fake asset id during this run.
-      const fakeId = `dry.asset.${slugify(filename)}`;
-      assetCache.set(absPath, fakeId);
-      console.log(`  [dry] would upload image asset: ${path.basename(absPath)}`);
+      const fakeId = `dry.asset.${hash.slice(0, 12)}`;
+      assetCache.set(hash, fakeId);
+      reportAsset(filename, fakeId, "planned");
+      log(`  [dry] would upload image asset: ${filename}`);
       return { _id: fakeId };
     }
 
     const asset = await withRetry(
-      () => client.assets.upload("image", buf, { filename, contentType }),
+      () => requestLimit(() => client.assets.upload("image", buf, { filename, contentType })),
       { context: `upload ${filename}` }
     );
-    assetCache.set(absPath, asset._id);
-    console.log(`  [upload] ${path.basename(absPath)} -> ${asset._id}`);
+    assetCache.set(hash, asset._id);
+    recordAssetInManifest(hash, asset._id, filename);
+    recordCheckpointAsset(hash, asset._id);
+    reportAsset(filename, asset._id, "uploaded");
+    log(`  [upload] ${filename} -> ${asset._id}`);
     return asset; // includes _id
   })();
 
-  uploadPromises.set(absPath, uploadPromise);
+  uploadPromises.set(hash, uploadPromise);
 
   try {
     return await uploadPromise;
   } finally {
     // Clean up the in-flight tracker once complete (success or failure)
-    uploadPromises.delete(absPath);
+    uploadPromises.delete(hash);
   }
 }
 
 // ------------------------------
-// Author ensure
+// Remote images (http/https)
 // ------------------------------
 
-/**
- * Ensure an author reference exists:
- * - If `authorId` provided: verify it exists and return it.
- * - Else use `author` name: find author by name; create if missing.
- *
- * NOTE: author name matching is exact; keep naming consistent in your frontmatter.
- */
-async function ensureAuthor({ authorId, author }) {
-  if (authorId) {
-    const exists = await withRetry(
-      () => client.fetch(`*[_id==$id][0]{_id}`, { id: authorId }),
-      { context: `fetch author ${authorId}` }
-    );
-    if (!exists?._id) throw new Error(`authorId not found: ${authorId}`);
-    return authorId;
-  }
-
-  if (!author) throw new Error("Frontmatter must include 'author' (name) or 'authorId'.");
+/** In-flight downloads by URL, so a URL used twice in a run is fetched once. */
+const remoteDownloads = new Map();
 
-  const existing = await withRetry(
-    () => client.fetch(`*[_type=="author" && name==$name][0]{_id}`, { name: author }),
-    { context: `fetch author by name "${author}"` }
-  );
-  if (existing?._id) return existing._id;
+function isRemoteImageSrc(src) {
+  return isHttpUrl(src);
+}
 
-  const s = slugify(author);
-  const id = makeDocumentId("author", s);
+/**
+ * Detect the image type from the file's magic bytes.
+ * Returns a MIME type from VALID_IMAGE_TYPES, or null if unrecognized.
+ */
+function sniffImageType(buf) {
+  const ascii = (start, end) => buf.subarray(start, end).toString("latin1");
 
-  if (!WRITE) {
-    console.log(`  [dry] would create author: ${author} -> ${id}`);
-    return id;
-  }
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (ascii(0, 8) === "\x89PNG\r\n\x1a\n") return "image/png";
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(4, 8) === "ftyp" && ["avif", "avis"].includes(ascii(8, 12))) return "image/avif";
 
-  await withRetry(
-    () => client.createIfNotExists({
-      _id: id,
-      _type: "author",
-      name: author,
-      slug: { _type: "slug", current: s },
-    }),
-    { context: `create author "${author}"` }
-  );
+  // SVG is text: allow a BOM, XML declaration, doctype and comments before <svg
+  const head = buf.subarray(0, 4096).toString("utf8").replace(/^\uFEFF/, "");
+  const stripped = head.replace(/<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>/gi, "").trimStart();
+  if (stripped.startsWith("<svg")) return "image/svg+xml";
 
-  console.log(`  [create] author: ${author} -> ${id}`);
-  return id;
+  return null;
 }
 
-// ------------------------------
-// Validation
-// ------------------------------
-
 /**
- * Validate required frontmatter fields for your workflow and schemas.
- * Throws on invalid input.
+ * Validate downloaded bytes and derive an upload filename from the URL.
  */
-function validateFrontmatter(fm, file) {
-  const errors = [];
-
-  if (!fm.title) errors.push("missing 'title'");
-  if (!fm.author && !fm.authorId) errors.push("missing 'author' or 'authorId'");
-  if (!fm.mainImage) errors.push("missing 'mainImage'");
-  if (!fm.mainImageAlt) errors.push("missing 'mainImageAlt'");
-
-  // If publishedAt is provided, enforce it's parseable as a date.
-  if (fm.publishedAt) {
-    const parsed = Date.parse(fm.publishedAt);
-    if (Number.isNaN(parsed)) {
-      errors.push(`invalid 'publishedAt' date: ${fm.publishedAt}`);
-    }
+function toRemoteImage(url, buf) {
+  const contentType = sniffImageType(buf);
+  if (!contentType) {
+    throw new Error(
+      `Remote image is not a supported image: ${url}. ` +
+      `Allowed types: ${[...VALID_IMAGE_TYPES].join(", ")}`
+    );
   }
 
-  if (errors.length > 0) {
-    throw new Error(`Frontmatter validation failed in ${file}: ${errors.join(", ")}`);
+  let filename = "image";
+  try {
+    filename = decodeURIComponent(path.posix.basename(new URL(url).pathname)) || "image";
+  } catch {
+    // Keep the fallback name for malformed escapes
+  }
+  if (mime.getType(filename) !== contentType) {
+    filename = `${filename.replace(/\.[^.]*$/, "")}.${mime.getExtension(contentType)}`;
   }
+
+  return { buf, filename, contentType };
 }
 
 /**
- * Check for slug collisions across files.
- * Returns true if collision detected, false otherwise.
+ * Read the response body, aborting once it exceeds REMOTE_MAX_BYTES.
  */
-function checkSlugCollision(slug, currentFile) {
-  if (slugToFile.has(slug)) {
-    const existingFile = slugToFile.get(slug);
-    if (existingFile !== currentFile) {
-      console.warn(
-        `  [warn] Slug collision: "${slug}" used by both:\n` +
-        `         - ${existingFile}\n` +
-        `         - ${currentFile}\n` +
-        `         The second file will overwrite the first!`
-      );
-      return true;
+async function readLimitedBody(res, url) {
+  const declared = Number(res.headers.get("content-length"));
+  if (declared > REMOTE_MAX_BYTES) {
+    throw new Error(`Remote image too large: ${url} (${declared} bytes, limit ${REMOTE_MAX_BYTES})`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (size > REMOTE_MAX_BYTES) {
+      throw new Error(`Remote image too large: ${url} (over ${REMOTE_MAX_BYTES} bytes)`);
     }
+    chunks.push(chunk);
   }
-  slugToFile.set(slug, currentFile);
-  return false;
+  return Buffer.concat(chunks.map((chunk) => Buffer.from(chunk)));
 }
 
-// ------------------------------
-// Inline image extraction + token replacement (format-preserving)
-// ------------------------------
-
 /**
- * Extract markdown images and replace them with unique tokens so we can:
- * 1) convert markdown -> Portable Text
- * 2) upload images
- * 3) replace token blocks/spans with PT `image` blocks
- *
- * Supported forms:
- *   ![alt](path "caption")
- *   ![alt](<path with spaces> "caption")
+ * Download a remote image, using the on-disk cache when the URL was fetched
+ * before. Returns { buf, filename, contentType } like readLocalImage.
  *
- * NOTE: This is intentionally "good enough" without a full markdown parser.
+ * The cache is used in every mode (it holds downloads, not import state), so
+ * --check validates remote images once and later runs never re-download.
  */
-function extractInlineImages(markdown) {
-  const images = [];
+async function fetchRemoteImage(url) {
+  const cachePath = path.join(REMOTE_IMAGE_CACHE_DIR, sha1(Buffer.from(url)));
 
-  // Regex supports:
-  // - alt text: [....]
-  // - src: either <...> (allows spaces) OR a plain token without spaces
-  // - optional title/caption: "..."
-  //
-  // Examples:
-  //   ![Alt](./img.png)
-  //   ![Alt](./img.png "Caption")
-  //   ![Alt](</path with spaces/img.png> "Caption")
-  const IMG_RE = /!\[([^\]]*)\]\(\s*(?:<([^>]+)>|([^\s)]+))\s*(?:"([^"]+)")?\s*\)/g;
-
-  const rewrittenMarkdown = markdown.replace(IMG_RE, (_, alt, angleSrc, plainSrc, caption) => {
-    const token = `[[[SANITY_IMAGE_${images.length}]]]`;
-    const src = (angleSrc || plainSrc || "").trim();
+  if (fs.existsSync(cachePath)) {
+    log(`  [cache] ${url}`);
+    return toRemoteImage(url, readFileWithContext(cachePath, "cached remote image"));
+  }
 
-    images.push({
-      token,
-      alt: (alt || "").trim(),
-      src,
-      caption: (caption || "").trim(),
-    });
+  if (remoteDownloads.has(url)) return remoteDownloads.get(url);
 
-    // Put token on its own paragraph so markdown->PT likely yields a clean token-only block.
-    // If it still ends up embedded, we have a safe "split while preserving marks" fallback.
-    return `\n\n${token}\n\n`;
-  });
+  const download = (async () => {
+    const buf = await withRetry(
+      () => requestLimit(async () => {
+        let res;
+        try {
+          res = await fetch(url, { signal: AbortSignal.timeout(REMOTE_TIMEOUT_MS) });
+        } catch (err) {
+          if (err.name === "TimeoutError") {
+            throw new Error(`Remote image timed out after ${REMOTE_TIMEOUT_MS}ms: ${url}`);
+          }
+          // Surface the network error code (ECONNREFUSED, ...) so withRetry sees it
+          if (err.cause?.code) err.code = err.cause.code;
+          throw err;
+        }
+        if (!res.ok) {
+          const err = new Error(`Remote image request failed: ${url} (HTTP ${res.status})`);
+          err.statusCode = res.status;
+          throw err;
+        }
+        return readLimitedBody(res, url);
+      }),
+      { context: `download ${url}` }
+    );
 
-  return { rewrittenMarkdown, images };
-}
+    // Validate before caching so a bad response is never reused
+    const image = toRemoteImage(url, buf);
 
-/**
- * True if the Portable Text block is just the token text (ignoring whitespace).
- * If so, we can safely replace the entire block with an image block.
- */
-function isTokenOnlyBlock(block, token) {
-  if (block?._type !== "block" || !Array.isArray(block.children)) return false;
+    fs.mkdirSync(REMOTE_IMAGE_CACHE_DIR, { recursive: true });
+    const tmpPath = `${cachePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, buf);
+    fs.renameSync(tmpPath, cachePath);
 
-  const text = block.children
-    .filter((c) => c && c._type === "span")
-    .map((c) => (typeof c.text === "string" ? c.text : ""))
-    .join("");
+    log(`  [fetch] ${url} (${buf.length} bytes)`);
+    return image;
+  })();
 
-  return text.trim() === token;
+  remoteDownloads.set(url, download);
+  try {
+    return await download;
+  } finally {
+    remoteDownloads.delete(url);
+  }
 }
 
-/**
- * Detect tokens in the *concatenated* span text of the block.
- * This is more robust than checking each span individually because
- * the converter could (rarely) split token text across spans.
- */
-function blockContainsAnyToken(block, tokens) {
-  if (block?._type !== "block" || !Array.isArray(block.children)) return false;
+// ------------------------------
+// Image processing (sharp)
+// ------------------------------
 
-  const full = block.children
-    .filter((c) => c && c._type === "span" && typeof c.text === "string")
-    .map((c) => c.text)
-    .join("");
+/** MIME type -> sharp output format, for re-encoding in the original format. */
+const SHARP_FORMATS = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/avif": "avif",
+};
 
-  return tokens.some((t) => full.includes(t));
-}
+// `quality` only means something for lossy encoders: sharp's PNG encoder
+// treats it as a request to quantize to a 256-colour palette.
+const LOSSY_FORMATS = new Set(["jpeg", "webp", "avif"]);
+
+let sharpModule = null;
 
 /**
- * Return true if a Portable Text block contains meaningful content.
- * This prevents accidental dropping of blocks that have non-span children
- * (rare, but possible depending on conversion output).
+ * Load sharp on first use, so runs without image processing never pay for it.
  */
-function hasMeaningfulChildren(block) {
-  if (!block || !Array.isArray(block.children)) return false;
+async function loadSharp() {
+  if (!sharpModule) {
+    try {
+      sharpModule = (await import("sharp")).default;
+    } catch (err) {
+      throw new Error(`Image processing needs the "sharp" package (npm install sharp): ${err.message}`);
+    }
+  }
+  return sharpModule;
+}
 
-  return block.children.some((c) => {
-    if (!c) return false;
-    if (c._type !== "span") return true; // non-span child: keep
-    if (typeof c.text !== "string") return false;
-    return c.text.trim().length > 0;
-  });
+function isImageProcessingEnabled() {
+  const { maxWidth, maxHeight, format, stripMetadata } = importConfig.images;
+  return Boolean(maxWidth || maxHeight || format || stripMetadata);
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 }
 
 /**
- * Split a single PT text block by inserting image blocks wherever tokens occur,
- * while preserving:
- * - span marks (bold/italic/code/link keys)
- * - markDefs (link definitions)
+ * Apply the config's `images` settings to an image before upload.
+ * Takes and returns { buf, filename, contentType } (see readLocalImage).
  *
- * Result is a sequence: [block?, image, block?, image, ...]
- * Each block is a normal PT "block" with children spans.
+ * SVGs are passed through untouched. An image that needs no resize, keeps its
+ * format and keeps its metadata is not re-encoded at all.
  */
-function splitBlockByTokensPreserveMarks(block, tokens, tokenToImageBlock) {
-  const out = [];
+async function processImage(image) {
+  if (!isImageProcessingEnabled() || image.contentType === "image/svg+xml") return image;
 
-  // We'll rebuild paragraphs as we go.
-  let current = {
-    _key: generateKey(),
-    _type: "block",
-    style: block.style || "normal",
-    markDefs: Array.isArray(block.markDefs) ? block.markDefs : [],
-    children: [],
-  };
+  const { maxWidth, maxHeight, format, quality, stripMetadata } = importConfig.images;
+  const sharp = await loadSharp();
+  const animated = image.contentType === "image/gif" || image.contentType === "image/webp";
+  const meta = await sharp(image.buf, { animated }).metadata();
+  // Animated images report the stacked height of all frames; use one frame's
+  const height = meta.pageHeight || meta.height;
 
-  function flushCurrent() {
-    // Push only if it has meaningful content (text or non-span children).
-    if (hasMeaningfulChildren(current)) out.push(current);
+  const tooLarge = (maxWidth && meta.width > maxWidth) || (maxHeight && height > maxHeight);
+  const outputFormat = format || SHARP_FORMATS[image.contentType];
+  if (!tooLarge && outputFormat === SHARP_FORMATS[image.contentType] && !stripMetadata) return image;
 
-    current = {
-      _key: generateKey(),
-      _type: "block",
-      style: block.style || "normal",
-      markDefs: Array.isArray(block.markDefs) ? block.markDefs : [],
-      children: [],
-    };
+  let pipeline = sharp(image.buf, { animated });
+  // Stripping drops the EXIF orientation, so bake it into the pixels first
+  pipeline = stripMetadata ? pipeline.rotate() : pipeline.keepMetadata();
+  if (tooLarge) {
+    pipeline = pipeline.resize({
+      width: maxWidth || undefined,
+      height: maxHeight || undefined,
+      fit: "inside",
+      withoutEnlargement: true,
+    });
   }
+  const { data, info } = await pipeline
+    .toFormat(outputFormat, LOSSY_FORMATS.has(outputFormat) ? { quality } : {})
+    .toBuffer({ resolveWithObject: true });
 
-  for (const child of block.children) {
-    if (!child || child._type !== "span" || typeof child.text !== "string") {
-      // Conservatively keep non-span children inside the current block.
-      // Ensure child has a key
-      const childWithKey = child._key ? child : { ...child, _key: generateKey() };
-      current.children.push(childWithKey);
-      continue;
-    }
-
-    let text = child.text;
+  const contentType = mime.getType(outputFormat);
+  const filename = contentType === image.contentType
+    ? image.filename
+    : `${image.filename.replace(/\.[^.]*$/, "")}.${mime.getExtension(contentType)}`;
 
-    // Repeatedly split this span until it contains no tokens.
-    while (true) {
-      let nearestToken = null;
-      let nearestIdx = Infinity;
+  log(
+    `  [process] ${image.filename}: ${meta.width}x${height} -> ` +
+    `${info.width}x${info.pageHeight || info.height} ${outputFormat}, ` +
+    `${formatSize(image.buf.length)} -> ${formatSize(data.length)}`
+  );
+  return { buf: data, filename, contentType };
+}
 
-      for (const t of tokens) {
-        const idx = text.indexOf(t);
-        if (idx !== -1 && idx < nearestIdx) {
-          nearestIdx = idx;
-          nearestToken = t;
-        }
-      }
+/**
+ * Warn when a cover image (an `image` field) is smaller than the configured
+ * minCoverWidth/minCoverHeight. Checks the original, before any resize.
+ */
+async function checkCoverSize(image, label, mdFilePath) {
+  const { minCoverWidth, minCoverHeight } = importConfig.images;
+  if ((!minCoverWidth && !minCoverHeight) || image.contentType === "image/svg+xml") return;
 
-      // No tokens in this span chunk => append remainder and move on.
-      if (!nearestToken) {
-        if (text.length > 0) {
-          current.children.push({ ...child, _key: generateKey(), text });
-        }
-        break;
-      }
+  const sharp = await loadSharp();
+  const { width, height } = await sharp(image.buf).metadata();
+  if ((minCoverWidth && width < minCoverWidth) || (minCoverHeight && height < minCoverHeight)) {
+    logWarn(
+      `  [warn] ${label} ${image.filename} is ${width}x${height}, smaller than the ` +
+      `${minCoverWidth || "any"}x${minCoverHeight || "any"} minimum for covers (${path.basename(mdFilePath)})`
+    );
+  }
+}
 
-      // Split into: before token, (token => image), after token
-      const before = text.slice(0, nearestIdx);
-      const after = text.slice(nearestIdx + nearestToken.length);
+// ------------------------------
+// Image metadata (hotspot, crop, credits)
+// ------------------------------
 
-      if (before.length > 0) {
-        current.children.push({ ...child, _key: generateKey(), text: before });
-      }
+/**
+ * Image metadata keys. Image fields name the frontmatter key for each in their
+ * spec (e.g. `hotspot: "mainImageHotspot"`); sidecar files use them directly.
+ * - hotspot: { x, y, width?, height? }    fractions 0-1 (size defaults to 1)
+ * - crop:    { top?, bottom?, left?, right? }  fractions 0-1 (default 0)
+ * - caption: string, written on the image
+ * - credit:  string -> asset `creditLine`
+ * - source:  URL string or { name, id?, url? } -> asset `source`
+ * - title:   string -> asset `title`
+ */
+const IMAGE_METADATA_KEYS = ["hotspot", "crop", "caption", "credit", "source", "title"];
 
-      // Emit current paragraph (if any), then the image block
-      flushCurrent();
-      out.push({ ...tokenToImageBlock[nearestToken], _key: generateKey() });
+/** Asset document fields already set during this run (assetId -> JSON). */
+const assetMetadataApplied = new Map();
 
-      // Continue with "after" in a new paragraph, preserving marks
-      text = after;
-    }
+function imageMetadataFromFrontmatter(fm, spec) {
+  const meta = {};
+  for (const name of IMAGE_METADATA_KEYS) {
+    if (spec[name] && fm[spec[name]] != null) meta[name] = fm[spec[name]];
   }
-
-  flushCurrent();
-  return out;
+  return meta;
 }
 
+const isFraction = (v) => typeof v === "number" && v >= 0 && v <= 1;
+
 /**
- * Replace tokens inside Portable Text blocks with image blocks while preserving formatting.
- *
- * Strategy:
- * - If block is token-only: replace whole block with image block.
- * - Else if block contains token: split the block preserving marks.
- * - Else: keep block unchanged.
+ * Validate image metadata. `label(name)` gives the key to report for a
+ * metadata name (the frontmatter key, or the sidecar key itself).
+ * Returns a list of { key, message } errors.
  */
-function replaceTokensWithImageBlocksPreserveMarks(ptBlocks, tokenToImageBlock) {
-  const tokens = Object.keys(tokenToImageBlock);
-  const out = [];
+function validateImageMetadata(meta, label) {
+  const errors = [];
 
-  for (const block of ptBlocks) {
-    if (block?._type !== "block") {
-      // Non-block items (shouldn't happen often) - ensure they have keys
-      const blockWithKey = block._key ? block : { ...block, _key: generateKey() };
-      out.push(blockWithKey);
-      continue;
+  if (meta.hotspot != null) {
+    const { x, y, width = 1, height = 1 } = meta.hotspot || {};
+    if (typeof meta.hotspot !== "object" || ![x, y, width, height].every(isFraction)) {
+      errors.push({ key: label("hotspot"), message: `invalid '${label("hotspot")}': expected { x, y, width?, height? } with values from 0 to 1` });
     }
+  }
 
-    const tokenOnly = tokens.find((t) => isTokenOnlyBlock(block, t));
-    if (tokenOnly) {
-      // Replace entire block with image block (with key)
-      out.push({ ...tokenToImageBlock[tokenOnly], _key: generateKey() });
-      continue;
+  if (meta.crop != null) {
+    const { top = 0, bottom = 0, left = 0, right = 0 } = meta.crop || {};
+    if (typeof meta.crop !== "object" || ![top, bottom, left, right].every(isFraction)) {
+      errors.push({ key: label("crop"), message: `invalid '${label("crop")}': expected { top?, bottom?, left?, right? } with values from 0 to 1` });
+    } else if (top + bottom >= 1 || left + right >= 1) {
+      errors.push({ key: label("crop"), message: `invalid '${label("crop")}': crop removes the whole image` });
     }
+  }
 
-    if (blockContainsAnyToken(block, tokens)) {
-      out.push(...splitBlockByTokensPreserveMarks(block, tokens, tokenToImageBlock));
-      continue;
+  for (const name of ["caption", "credit", "title"]) {
+    if (meta[name] != null && typeof meta[name] !== "string") {
+      errors.push({ key: label(name), message: `invalid '${label(name)}': expected a string` });
     }
+  }
 
-    out.push(block);
+  if (meta.source != null) {
+    const ok = typeof meta.source === "string"
+      ? isHttpUrl(meta.source)
+      : typeof meta.source === "object" && typeof meta.source.name === "string";
+    if (!ok) errors.push({ key: label("source"), message: `invalid '${label("source")}': expected a URL or { name, id?, url? }` });
   }
 
-  return out;
+  return errors;
 }
 
 /**
- * Ensure all blocks and their children have _key properties.
- * This is required by Sanity for Portable Text arrays.
+ * Hotspot and crop in Sanity's shape, for an image field or image block.
  */
-function ensureKeys(ptBlocks) {
-  return ptBlocks.map((block) => {
+function imageFieldMetadata(meta) {
+  const fields = {};
+  if (meta.hotspot) {
+    const { x, y, width = 1, height = 1 } = meta.hotspot;
+    fields.hotspot = { _type: "sanity.imageHotspot", x, y, width, height };
+  }
+  if (meta.crop) {
+    const { top = 0, bottom = 0, left = 0, right = 0 } = meta.crop;
+    fields.crop = { _type: "sanity.imageCrop", top, bottom, left, right };
+  }
+  return fields;
+}
+
+/**
+ * Sidecar metadata file for a local image (`photo.jpg.yml` / `.yaml`), or null.
+ */
+function findImageSidecar(absPath) {
+  return [`${absPath}.yml`, `${absPath}.yaml`].find((p) => fs.existsSync(p)) || null;
+}
+
+/**
+ * Read and validate an image's sidecar metadata. Returns {} without a sidecar.
+ * Sidecars take the IMAGE_METADATA_KEYS plus `alt`.
+ */
+function readImageSidecar(absPath) {
+  const sidecarPath = findImageSidecar(absPath);
+  if (!sidecarPath) return {};
+
+  let meta;
+  try {
+    meta = matter.engines.yaml.parse(readFileWithContext(sidecarPath, "image sidecar", "utf8")) || {};
+  } catch (err) {
+    throw new Error(`Failed to parse image sidecar: ${sidecarPath} (${err.message})`);
+  }
+
+  const errors = validateImageMetadata(meta, (name) => name).map((error) => error.message);
+  if (meta.alt != null && typeof meta.alt !== "string") errors.push("invalid 'alt': expected a string");
+  if (errors.length > 0) {
+    throw new Error(`Image sidecar validation failed in ${sidecarPath}: ${errors.join(", ")}`);
+  }
+  return meta;
+}
+
+/**
+ * Write credit, source and title onto the `sanity.imageAsset` document.
+ * Each asset is patched at most once per run with the same values.
+ */
+async function applyAssetMetadata(assetId, meta, filename) {
+  const set = {};
+  if (meta.credit) set.creditLine = meta.credit;
+  if (meta.title) set.title = meta.title;
+  if (meta.source) {
+    set.source = typeof meta.source === "string"
+      ? { name: new URL(meta.source).hostname, id: meta.source, url: meta.source }
+      : { ...meta.source };
+  }
+  if (Object.keys(set).length === 0) return;
+
+  const key = JSON.stringify(set);
+  if (assetMetadataApplied.get(assetId) === key) return;
+  assetMetadataApplied.set(assetId, key);
+
+  const fields = Object.keys(set).join(", ");
+  if (!WRITE) {
+    reportMutation({ patch: { id: assetId, set } });
+    log(`  [dry] would set asset metadata on ${filename}: ${fields}`);
+    return;
+  }
+  if (ATOMIC) {
+    queueMutation({ patch: { id: assetId, set } });
+    log(`  [queue] asset metadata on ${filename}: ${fields}`);
+    return;
+  }
+
+  await withRetry(
+    () => requestLimit(() => client.patch(assetId).set(set).commit()),
+    { context: `asset metadata ${filename}` }
+  );
+  reportMutation({ patch: { id: assetId, set } });
+  log(`  [meta] ${filename}: ${fields}`);
+}
+
+// ------------------------------
+// Atomic batch writes (--atomic)
+// ------------------------------
+
+/**
+ * Mutations collected during an --atomic run, committed together at the end.
+ * Each entry: { mutation, onCommit? } where `mutation` is a raw Sanity mutation
+ * ({ createOrReplace }, { createIfNotExists }, { delete }) and `onCommit` runs
+ * once the chunk containing it has been committed.
+ */
+const pendingMutations = [];
+
+/**
+ * Referenced document ids (e.g. authors) already queued in this run, so shared
+ * references are created once.
+ */
+const queuedReferenceIds = new Set();
+
+function queueMutation(mutation, onCommit) {
+  const reported = reportMutation(mutation, WRITE ? "queued" : "planned");
+  pendingMutations.push({
+    mutation,
+    onCommit: () => {
+      if (reported) reported.status = "performed";
+      onCommit?.();
+    },
+  });
+}
+
+/**
+ * Split mutation entries into transaction-sized chunks, preserving order.
+ * A single oversized mutation still gets a chunk of its own.
+ */
+function chunkMutations(
+  entries,
+  { maxMutations = MAX_TRANSACTION_MUTATIONS, maxBytes = MAX_TRANSACTION_BYTES } = {}
+) {
+  const chunks = [];
+  let current = [];
+  let currentBytes = 0;
+
+  for (const entry of entries) {
+    const bytes = Buffer.byteLength(JSON.stringify(entry.mutation));
+    const full = current.length >= maxMutations || currentBytes + bytes > maxBytes;
+    if (current.length > 0 && full) {
+      chunks.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push(entry);
+    currentBytes += bytes;
+  }
+
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Commit mutation entries as one transaction per chunk, in order.
+ * The client is passed in so this can run against a mocked client.
+ *
+ * On failure, throws an error naming the failed chunk and how much of the run
+ * was already committed. Returns the number of chunks committed.
+ */
+async function commitMutationsInChunks(sanityClient, entries, options) {
+  const chunks = chunkMutations(entries, options);
+
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const label = `transaction chunk ${i + 1}/${chunks.length}`;
+
+    try {
+      await withRetry(
+        () => sanityClient.transaction(chunk.map((e) => e.mutation)).commit(),
+        { context: label }
+      );
+    } catch (err) {
+      const notApplied = chunks.slice(i).reduce((n, c) => n + c.length, 0);
+      const committed =
+        i === 0 ? "No documents were changed." :
+        i === 1 ? "Chunk 1 was already committed." :
+        `Chunks 1-${i} were already committed.`;
+      throw new Error(
+        `${label} failed (${chunk.length} mutation(s)): ${err.message}. ` +
+        `${committed} ${notApplied} mutation(s) not applied.`
+      );
+    }
+
+    for (const entry of chunk) entry.onCommit?.();
+    log(`  [commit] ${label}: ${chunk.length} mutation(s)`);
+  }
+
+  return chunks.length;
+}
+
+// ------------------------------
+// Reference ensure (authors, etc.)
+// ------------------------------
+
+/**
+ * Look up a document of type `to` by name (or, with matchBy "slug", by the
+ * slugified name). Returns { _id } or null.
+ */
+async function findReferenceByName({ to, name, nameField = "name", matchBy = "name" }) {
+  return withRetry(
+    () => matchBy === "slug"
+      ? client.fetch(`*[_type==$type && slug.current==$slug][0]{_id}`, { type: to, slug: slugify(name) })
+      : client.fetch(`*[_type==$type && ${nameField}==$name][0]{_id}`, { type: to, name }),
+    { context: `fetch ${to} by ${matchBy} "${name}"` }
+  );
+}
+
+/**
+ * Ensure a referenced document exists:
+ * - If `id` provided: verify it exists and return it.
+ * - If `name` is an author profile key (or profile name): the profile's id.
+ * - Else use `name`: find a document of type `to` by name; create it if missing
+ *   and `create` is set (this is how authors and categories are auto-created).
+ *
+ * `nameField` is the document field holding the name (`name` for authors,
+ * `title` for categories). `matchBy: "slug"` matches on the slugified name
+ * instead, so spellings differing only in case/punctuation resolve to one doc.
+ * `labels` are the frontmatter keys, used in error messages. Aliases are
+ * applied by the caller (see resolveAlias) before `name` gets here.
+ */
+async function ensureReference({ to, id, name, create, labels, nameField = "name", matchBy = "name" }) {
+  if (id) {
+    const exists = await withRetry(
+      () => client.fetch(`*[_id==$id][0]{_id}`, { id }),
+      { context: `fetch ${to} ${id}` }
+    );
+    if (!exists?._id) throw sourceError(`${labels.id} not found: ${id}`, { key: labels.id });
+    return id;
+  }
+
+  if (!name) {
+    const keys = labels.id ? `'${labels.name}' (name) or '${labels.id}'` : `'${labels.name}' (name)`;
+    throw new Error(`Frontmatter must include ${keys}.`);
+  }
+
+  // Profiles from AUTHORS_DIR are upserted before any post is imported
+  const profile = findAuthorProfile(to, name);
+  if (profile) return profile.docId;
+
+  const s = slugify(name);
+  const existing = await findReferenceByName({ to, name, nameField, matchBy });
+  if (existing?._id) return existing._id;
+
+  if (!create) throw sourceError(`No ${to} document named "${name}" (${labels.name})`, { key: labels.name });
+
+  const refId = makeDocumentId(to, s);
+
+  // --atomic: the document is not created yet, but an earlier post already queued it.
+  if (queuedReferenceIds.has(refId)) return refId;
+
+  const refDoc = {
+    _id: refId,
+    _type: to,
+    [nameField]: name,
+    slug: { _type: "slug", current: s },
+    importedBy: IMPORTER_MARKER,
+  };
+
+  if (ATOMIC) {
+    queuedReferenceIds.add(refId);
+    queueMutation({ createIfNotExists: refDoc });
+    log(`  [${WRITE ? "queue" : "dry"}] ${WRITE ? "" : "would "}create ${to} in transaction: ${name} -> ${refId}`);
+    return refId;
+  }
+
+  if (!WRITE) {
+    reportMutation({ createIfNotExists: refDoc });
+    log(`  [dry] would create ${to}: ${name} -> ${refId}`);
+    return refId;
+  }
+
+  await withRetry(
+    () => requestLimit(() => client.createIfNotExists(refDoc)),
+    { context: `create ${to} "${name}"` }
+  );
+  reportMutation({ createIfNotExists: refDoc });
+
+  log(`  [create] ${to}: ${name} -> ${refId}`);
+  return refId;
+}
+
+// ------------------------------
+// Author profiles (AUTHORS_DIR)
+// ------------------------------
+
+/**
+ * Author profiles by key (file name without extension):
+ * key -> { key, file, data, bio, name, slug, docId }
+ *
+ * Filled by importAuthorProfiles() before any post is imported, so
+ * ensureReference can resolve profile keys.
+ */
+const authorProfiles = new Map();
+
+/**
+ * The profile a post's author reference names: by profile key, else by the
+ * profile's `name`. Only for references to the profile document type.
+ */
+function findAuthorProfile(to, name) {
+  if (to !== importConfig.authorProfiles.documentType) return null;
+  const value = String(name);
+  return authorProfiles.get(value) || [...authorProfiles.values()].find((p) => p.name === value) || null;
+}
+
+/**
+ * The profile id each author name in a post resolves to (null without one).
+ * Only these go into the post's fingerprint: adding or renaming an unrelated
+ * profile leaves the post unchanged.
+ */
+function resolvedAuthorProfiles(fm) {
+  return postAuthorNames(fm).map(({ spec, name }) => [name, findAuthorProfile(spec.to, name)?.docId ?? null]);
+}
+
+function isAuthorProfilePath(absPath) {
+  return path.dirname(absPath) === path.resolve(AUTHORS_DIR) && /\.(ya?ml|md)$/.test(absPath);
+}
+
+/**
+ * Parse and validate one profile. YAML profiles may hold `bio` as Markdown;
+ * in a Markdown profile the body is the bio.
+ */
+function parseAuthorProfile(file) {
+  const key = path.basename(file, path.extname(file));
+  const raw = readFileWithContext(file, "author profile", "utf8");
+  let data;
+  let bio;
+  if (file.endsWith(".md")) {
+    const parsed = matter(raw);
+    data = parsed.data;
+    bio = parsed.content;
+  } else {
+    data = matter.engines.yaml.parse(raw) || {};
+    bio = data.bio;
+  }
+
+  const errors = [];
+  const invalid = (key, message) => errors.push({ key, message });
+  if (data.name == null || data.name === "") invalid("name", "missing 'name'");
+  else if (typeof data.name !== "string") invalid("name", "invalid 'name': expected a string");
+  for (const field of ["slug", "avatar", "avatarAlt", "bio"]) {
+    if (data[field] != null && typeof data[field] !== "string") invalid(field, `invalid '${field}': expected a string`);
+  }
+  if (data.avatar && !data.avatarAlt) invalid("avatar", "'avatar' without 'avatarAlt'");
+  if (data.links != null) {
+    if (typeof data.links !== "object" || Array.isArray(data.links)) {
+      invalid("links", "invalid 'links': expected { platform: url }");
+    } else {
+      for (const [platform, url] of Object.entries(data.links)) {
+        if (!isHttpUrl(url)) invalid("links", `invalid 'links' entry '${platform}': expected an http(s) URL`);
+      }
+    }
+  }
+  if (errors.length > 0) {
+    throw Object.assign(
+      new Error(`Author profile validation failed in ${file}: ${errors.map((e) => e.message).join(", ")}`),
+      { details: errors }
+    );
+  }
+
+  const slug = data.slug || slugify(data.name);
+  return {
+    key,
+    file,
+    data,
+    bio: typeof bio === "string" ? bio.trim() : "",
+    name: data.name,
+    slug,
+    docId: makeDocumentId(importConfig.authorProfiles.documentType, slug),
+  };
+}
+
+/**
+ * Every image a profile references: the avatar, then inline images in the bio.
+ */
+function profileImageSrcs(profile) {
+  return [
+    ...(profile.data.avatar ? [profile.data.avatar] : []),
+    ...(profile.bio ? extractInlineImages(profile.bio).images.map((img) => img.src) : []),
+  ];
+}
+
+/**
+ * Upsert one author profile (skipped when unchanged since the last write).
+ */
+async function importAuthorProfile(profile) {
+  const config = importConfig.authorProfiles;
+  const { data, docId } = profile;
+
+  // Like a post's: image settings and referenced image content count too
+  const fingerprint = sha1(Buffer.from(JSON.stringify({
+    v: FINGERPRINT_VERSION,
+    config,
+    images: importConfig.images,
+    data,
+    bio: profile.bio,
+    imageHashes: profileImageSrcs(profile).map((src) => [src, hashReferencedImage(profile.file, src)]),
+  })));
+  if (!FORCE && !CHECK && isPostUnchanged(docId, fingerprint)) {
+    log(`  [unchanged] ${docId} (use --force to re-import)`);
+    return { unchanged: true, slug: profile.slug, docId };
+  }
+
+  const doc = {
+    _id: docId,
+    _type: config.documentType,
+    [config.nameField]: data.name,
+    slug: { _type: "slug", current: profile.slug },
+    importedBy: IMPORTER_MARKER,
+  };
+  if (profile.bio) {
+    doc[config.bioField] = await markdownToPortableTextWithInlineImages(profile.file, profile.bio);
+  }
+  if (data.avatar) {
+    const spec = { type: "image", alt: "avatarAlt", hotspot: "avatarHotspot", crop: "avatarCrop" };
+    doc[config.imageField] = await buildImageField(data.avatar, spec, data, profile.file, { label: "avatar", checkSize: false });
+  }
+  if (data.links) {
+    doc[config.socialField] = Object.entries(data.links).map(([platform, url]) => ({
+      _key: slugify(platform),
+      _type: "socialLink",
+      platform,
+      url,
+    }));
+  }
+
+  validateDocumentAgainstSchema(doc, profile.file);
+
+  if (DIFF) await printDocumentDiff(doc);
+
+  if (ATOMIC) {
+    queueMutation({ createOrReplace: doc }, () => recordPostFingerprint(docId, fingerprint, profile.file));
+    log(`  [${WRITE ? "queue" : "dry"}] ${WRITE ? "" : "would "}upsert in transaction: ${docId}`);
+    return { dry: !WRITE, slug: profile.slug, docId };
+  }
+
+  if (!WRITE) {
+    reportMutation({ createOrReplace: doc });
+    log(`  [dry] would upsert: ${docId}`);
+    return { dry: true, slug: profile.slug, docId };
+  }
+
+  await withRetry(
+    () => requestLimit(() => client.createOrReplace(doc)),
+    { context: `upsert ${config.documentType} "${profile.slug}"` }
+  );
+  reportMutation({ createOrReplace: doc });
+  recordPostFingerprint(docId, fingerprint, profile.file);
+  log(`  [ok] upserted: ${docId}`);
+  return { slug: profile.slug, docId };
+}
+
+/**
+ * Load every profile in AUTHORS_DIR and upsert it, before the posts.
+ * A profile that fails is reported like a failed post; valid profiles are
+ * registered even if their upsert fails, so posts never silently fall back
+ * to creating an author by name.
+ *
+ * Returns { ok, unchanged, failed }.
+ */
+async function importAuthorProfiles() {
+  const counts = { ok: 0, unchanged: 0, failed: 0 };
+  if (!fs.existsSync(AUTHORS_DIR)) return counts;
+
+  const files = globSync(path.join(AUTHORS_DIR, "*.{yml,yaml,md}")).sort();
+  logConsole.log(`Found ${files.length} author profile(s) in ${AUTHORS_DIR}`);
+
+  for (const file of files) {
+    const report = createFileReport(file);
+    log(`\n[author] ${path.basename(file)}`);
+    try {
+      const profile = parseAuthorProfile(file);
+      const existing = authorProfiles.get(profile.key);
+      if (existing) throw new Error(`Duplicate author profile "${profile.key}": ${existing.file} and ${file}`);
+      authorProfiles.set(profile.key, profile);
+
+      const res = await fileReportStore.run(report, () => importAuthorProfile(profile));
+      Object.assign(report, { slug: res.slug, docId: res.docId });
+      if (res.unchanged) {
+        counts.unchanged++;
+        report.status = "unchanged";
+      } else {
+        counts.ok++;
+        report.status = !WRITE ? "dry-run" : ATOMIC ? "queued" : "written";
+      }
+    } catch (e) {
+      counts.failed++;
+      report.status = "failed";
+      reportErrors(report, e, file);
+      logError(`  [error] ${e.message}`);
+    }
+  }
+  return counts;
+}
+
+// ------------------------------
+// Validation
+// ------------------------------
+
+/**
+ * Validate frontmatter against the fields declared in the import config.
+ * Throws on invalid input.
+ */
+function validateFrontmatter(fm, file) {
+  const errors = [];
+  // `key` is the frontmatter key the error is positioned at in reports
+  const invalid = (key, message) => errors.push({ key, message });
+
+  for (const [key, spec] of Object.entries(importConfig.fields)) {
+    const from = fieldSource(key, spec);
+    const value = fm[from];
+
+    if (spec.required) {
+      if (spec.type === "slug") {
+        if (!value && !fm[spec.source]) invalid(from, `missing '${from}' or '${spec.source}'`);
+      } else if (spec.type === "reference" && spec.idFrom) {
+        if (!value && !fm[spec.idFrom]) invalid(from, `missing '${from}' or '${spec.idFrom}'`);
+      } else if (!value) {
+        invalid(from, `missing '${from}'`);
+      }
+    }
+
+    // Alt text is required whenever the image is (or must be) set.
+    if (spec.type === "image" && spec.alt && (spec.required || value) && !fm[spec.alt]) {
+      invalid(from, `missing '${spec.alt}'`);
+    }
+
+    if (spec.type === "image") {
+      errors.push(...validateImageMetadata(imageMetadataFromFrontmatter(fm, spec), (name) => spec[name]));
+    }
+
+    // If a date is provided, enforce it's parseable.
+    if (spec.type === "date" && value && Number.isNaN(Date.parse(value))) {
+      invalid(from, `invalid '${from}' date: ${value}`);
+    }
+  }
+
+  const statusKey = importConfig.statusFrom;
+  const status = fm[statusKey];
+  if (status != null && !POST_STATUSES.has(status)) {
+    invalid(statusKey, `invalid '${statusKey}': ${status} (allowed: ${[...POST_STATUSES].join(", ")})`);
+  }
+  if (status === "scheduled" && !publishAtValue(fm)) {
+    const spec = publishAtSpec();
+    invalid(statusKey, spec
+      ? `'${statusKey}: scheduled' needs '${fieldSource(importConfig.publishAtField, spec)}'`
+      : `'${statusKey}: scheduled' needs a 'publishAtField' in the import config`);
+  }
+
+  if (errors.length > 0) {
+    throw Object.assign(
+      new Error(`Frontmatter validation failed in ${file}: ${errors.map((e) => e.message).join(", ")}`),
+      { details: errors }
+    );
+  }
+}
+
+/**
+ * Check for slug collisions across files.
+ * Returns the file that already uses the slug, or null.
+ *
+ * --check reports collisions through the `unique-slug` lint rule instead.
+ */
+function checkSlugCollision(slug, currentFile) {
+  if (slugToFile.has(slug)) {
+    const existingFile = slugToFile.get(slug);
+    if (existingFile !== currentFile) {
+      if (!CHECK) {
+        logWarn(
+          `  [warn] Slug collision: "${slug}" used by both:\n` +
+          `         - ${existingFile}\n` +
+          `         - ${currentFile}\n` +
+          `         The second file will overwrite the first!`
+        );
+      }
+      return existingFile;
+    }
+  }
+  slugToFile.set(slug, currentFile);
+  return null;
+}
+
+// ------------------------------
+// Content lint (--check)
+// ------------------------------
+
+/**
+ * A rule setting is a bare severity or [severity, options].
+ */
+function normalizeLintSetting(setting) {
+  return Array.isArray(setting)
+    ? { severity: setting[0], options: setting[1] }
+    : { severity: setting, options: undefined };
+}
+
+/**
+ * Plain text of a heading's inline token (markup stripped).
+ */
+function headingText(inline) {
+  return (inline.children || [])
+    .filter((t) => t.type === "text" || t.type === "code_inline")
+    .map((t) => t.content)
+    .join("")
+    .trim();
+}
+
+/**
+ * Lint rules: id -> check(post, options), returning findings
+ * [{ message, key? | text? | line? }] located like sourceError hints.
+ *
+ * `post` is { mdFilePath, fm, content, slug, slugCollision, headings, bodyLine }:
+ * `headings` are { level, text, line } from the Markdown body, and
+ * bodyLine(n) turns a 0-based body line into a 1-based file line.
+ */
+const LINT_RULES = {
+  "image-alt": (post) =>
+    extractInlineImages(post.content).images
+      .filter((img) => !img.alt?.trim() && !sidecarAlt(post.mdFilePath, img.src))
+      .map((img) => ({ message: `inline image ${img.src} has no alt text`, text: img.src })),
+
+  "heading-increment": (post) => {
+    const findings = [];
+    for (let i = 1; i < post.headings.length; i++) {
+      const [prev, cur] = [post.headings[i - 1], post.headings[i]];
+      if (cur.level > prev.level + 1) {
+        findings.push({ message: `heading level skips from H${prev.level} to H${cur.level}: "${cur.text}"`, line: cur.line, column: 1 });
+      }
+    }
+    return findings;
+  },
+
+  "single-h1": (post) =>
+    post.headings.filter((h) => h.level === 1).slice(1)
+      .map((h) => ({ message: `more than one H1: "${h.text}"`, line: h.line, column: 1 })),
+
+  "no-title-h1": (post) => {
+    const title = String(post.fm[titleKey()] ?? "").trim().toLowerCase();
+    return post.headings
+      .filter((h) => h.level === 1 && title && h.text.toLowerCase() === title)
+      .map((h) => ({ message: `H1 "${h.text}" repeats the title (the title is rendered separately)`, line: h.line, column: 1 }));
+  },
+
+  "excerpt-length": (post, { field, min, max }) => {
+    const excerpt = post.fm[field];
+    if (excerpt == null || excerpt === "") return [];
+    const length = String(excerpt).trim().length;
+    if (min != null && length < min) return [{ message: `'${field}' is ${length} characters (min ${min})`, key: field }];
+    if (max != null && length > max) return [{ message: `'${field}' is ${length} characters (max ${max})`, key: field }];
+    return [];
+  },
+
+  // With profiles in use, "author-profile" already flags every unknown author
+  "known-author": async (post) => {
+    if (authorProfileLintApplies()) return [];
+    const findings = [];
+    for (const { from, spec, name } of postAuthorNames(post.fm)) {
+      if (findAuthorProfile(spec.to, name)) continue;
+      if (!await isKnownAuthor(spec, name)) {
+        findings.push({ message: `'${from}' "${name}" is not a known author (a new one would be created)`, key: from });
+      }
+    }
+    return findings;
+  },
+
+  // Only once profiles are in use (AUTHORS_DIR exists)
+  "author-profile": (post) =>
+    authorProfileLintApplies()
+      ? postAuthorNames(post.fm)
+        .filter(({ spec, name }) => !findAuthorProfile(spec.to, name))
+        .map(({ from, name }) => ({ message: `'${from}' "${name}" has no profile in ${AUTHORS_DIR}`, key: from }))
+      : [],
+
+  // A post without the key is left alone; only an empty value is flagged
+  "categories-not-empty": (post, { field }) => {
+    if (!Object.hasOwn(post.fm, field)) return [];
+    const value = post.fm[field];
+    const empty = value == null || value === "" || (Array.isArray(value) && value.filter(Boolean).length === 0);
+    return empty ? [{ message: `'${field}' is empty`, key: field }] : [];
+  },
+
+  "unique-slug": (post) => {
+    if (!post.slugCollision) return [];
+    const slugKey = fieldSource(...fieldsOfType("slug")[0]);
+    const key = post.fm[slugKey] ? slugKey : titleKey();
+    return [{ message: `slug "${post.slug}" is also used by ${post.slugCollision}`, key }];
+  },
+};
+
+function authorProfileLintApplies() {
+  return fs.existsSync(AUTHORS_DIR) && normalizeLintSetting(importConfig.lint["author-profile"]).severity !== "off";
+}
+
+/** Author lookups for "known-author", so each name is queried once per run. */
+const knownAuthorLookups = new Map();
+
+function isKnownAuthor(spec, name) {
+  const cacheKey = JSON.stringify([spec.to, spec.nameField, spec.matchBy, name]);
+  if (!knownAuthorLookups.has(cacheKey)) {
+    knownAuthorLookups.set(cacheKey, findReferenceByName({ to: spec.to, name, nameField: spec.nameField, matchBy: spec.matchBy })
+      .then(Boolean));
+  }
+  return knownAuthorLookups.get(cacheKey);
+}
+
+/**
+ * Author names a post gives in its author reference fields (single or array),
+ * as { from, spec, name }, each name once per field. Fields given by id are
+ * checked by the import itself.
+ */
+function postAuthorNames(fm) {
+  const names = [];
+  for (const [key, spec] of Object.entries(importConfig.fields)) {
+    const isAuthorRef = spec.to === importConfig.authorProfiles.documentType &&
+      (spec.type === "reference" || spec.of === "reference");
+    if (!isAuthorRef || (spec.idFrom && fm[spec.idFrom])) continue;
+    const from = fieldSource(key, spec);
+    const resolved = new Set([fm[from]].flat().filter(Boolean).map((name) => resolveAlias(spec, String(name))));
+    for (const name of resolved) names.push({ from, spec, name });
+  }
+  return names;
+}
+
+/**
+ * The frontmatter key holding the title: the slug field's `source`.
+ */
+function titleKey() {
+  return fieldsOfType("slug")[0][1].source;
+}
+
+/**
+ * Alt text from an inline image's sidecar file, if any. Unreadable sidecars
+ * are reported by the import itself.
+ */
+function sidecarAlt(mdFilePath, src) {
+  if (isRemoteImageSrc(src)) return null;
+  try {
+    return readImageSidecar(resolvePath(mdFilePath, src)).alt || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run the enabled lint rules on a post. Warnings are logged (and reported);
+ * errors throw one error listing every finding with its position.
+ */
+async function lintPost({ mdFilePath, raw, fm, content, slug, slugCollision }) {
+  // gray-matter's content is the tail of the raw file
+  const bodyOffset = raw.endsWith(content) ? raw.slice(0, raw.length - content.length).split("\n").length - 1 : 0;
+  const tokens = markdownParser.parse(content, {});
+  const headings = [];
+  tokens.forEach((token, i) => {
+    if (token.type !== "heading_open") return;
+    headings.push({ level: Number(token.tag.slice(1)), text: headingText(tokens[i + 1]), line: token.map[0] + bodyOffset + 1 });
+  });
+  const post = { mdFilePath, fm, content, slug, slugCollision, headings };
+
+  const errors = [];
+  const file = path.basename(mdFilePath);
+  for (const [rule, setting] of Object.entries(importConfig.lint)) {
+    const { severity, options } = normalizeLintSetting(setting);
+    if (severity === "off") continue;
+    const defaults = normalizeLintSetting(DEFAULT_IMPORT_CONFIG.lint[rule]).options;
+
+    for (const { message, ...hint } of await LINT_RULES[rule](post, { ...defaults, ...options })) {
+      const position = locateInSource(raw, hint);
+      if (severity === "error") {
+        errors.push({ message: `${rule}: ${message}`, ...position });
+        continue;
+      }
+      // Logged directly: the report entry carries the rule and position
+      fileReportStore.getStore()?.warnings.push({ rule, message, ...position });
+      emitLog("warn", [`  [warn] ${rule}: ${message} (${formatPosition(file, position)})`]);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw Object.assign(
+      new Error(
+        `Lint failed in ${file}:\n` +
+        errors.map((e) => `         - ${e.message} (${formatPosition(file, e)})`).join("\n")
+      ),
+      { details: errors }
+    );
+  }
+}
+
+// ------------------------------
+// Schema validation (`sanity schema extract` output)
+// ------------------------------
+
+/**
+ * Load the schema JSON written by `sanity schema extract`: an array of named
+ * types ({ name, type: "document", attributes } or { name, type: "type", value }).
+ * Returns a Map of type name -> entry.
+ */
+function loadSanitySchema(schemaPath) {
+  const raw = readFileWithContext(path.resolve(schemaPath), "schema file", "utf8");
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Failed to parse schema file: ${schemaPath} (${err.message})`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`Schema file must be the JSON array written by "sanity schema extract": ${schemaPath}`);
+  }
+
+  const types = new Map(entries.map((entry) => [entry.name, entry]));
+  if (types.get(importConfig.documentType)?.type !== "document") {
+    throw new Error(`Schema file has no document type "${importConfig.documentType}": ${schemaPath}`);
+  }
+  return types;
+}
+
+let sanitySchema = null;
+if (importConfig.schema) {
+  try {
+    sanitySchema = loadSanitySchema(importConfig.schema);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Follow `inline` references to named types. Documents used as types are
+ * checked as objects; unknown names are not checked at all.
+ */
+function resolveSchemaNode(node) {
+  const seen = new Set();
+  while (node?.type === "inline") {
+    const entry = sanitySchema.get(node.name);
+    if (!entry || seen.has(node.name)) return { type: "unknown" };
+    seen.add(node.name);
+    node = entry.type === "document" ? { type: "object", attributes: entry.attributes } : entry.value;
+  }
+  return node || { type: "unknown" };
+}
+
+/**
+ * The `_type` an object schema node requires, if it declares one.
+ */
+function schemaTypeName(node) {
+  const resolved = resolveSchemaNode(node);
+  return resolved.type === "object" ? resolved.attributes?._type?.value?.value : undefined;
+}
+
+function describeValueType(value) {
+  if (value === null) return "null";
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+/**
+ * Check a value against a schema node, pushing "<path>: <problem>" strings
+ * onto `errors`. Paths look like `body[3].markDefs[0]._type`.
+ */
+function validateAgainstSchema(value, node, fieldPath, errors) {
+  node = resolveSchemaNode(node);
+
+  switch (node.type) {
+    case "string":
+    case "number":
+    case "boolean":
+      if (typeof value !== node.type) {
+        errors.push(`${fieldPath}: expected ${node.type}, got ${describeValueType(value)}`);
+      } else if (node.value !== undefined && value !== node.value) {
+        errors.push(`${fieldPath}: expected ${JSON.stringify(node.value)}, got ${JSON.stringify(value)}`);
+      }
+      return;
+
+    case "null":
+      if (value !== null) errors.push(`${fieldPath}: expected null, got ${describeValueType(value)}`);
+      return;
+
+    case "array":
+      if (!Array.isArray(value)) {
+        errors.push(`${fieldPath}: expected array, got ${describeValueType(value)}`);
+        return;
+      }
+      value.forEach((item, i) => validateAgainstSchema(item, node.of, `${fieldPath}[${i}]`, errors));
+      return;
+
+    case "object":
+      validateSchemaObject(value, node, fieldPath, errors);
+      return;
+
+    case "union":
+      validateSchemaUnion(value, node, fieldPath, errors);
+      return;
+
+    default:
+      // "unknown" and node kinds we don't model are not checked
+      return;
+  }
+}
+
+function validateSchemaObject(value, node, fieldPath, errors) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    errors.push(`${fieldPath}: expected object, got ${describeValueType(value)}`);
+    return;
+  }
+
+  // `rest` holds attributes shared by array members (e.g. _key)
+  const rest = node.rest ? resolveSchemaNode(node.rest) : null;
+  const attributes = { ...(rest?.type === "object" ? rest.attributes : {}), ...node.attributes };
+  const prefix = fieldPath ? `${fieldPath}.` : "";
+
+  for (const [name, attribute] of Object.entries(attributes)) {
+    // Sanity treats null like an unset field
+    if (value[name] == null) {
+      // System fields (_id, _rev, _createdAt, ...) are filled in by Sanity
+      if (!attribute.optional && !name.startsWith("_")) {
+        errors.push(`${prefix}${name}: required field is missing`);
+      }
+      continue;
+    }
+    validateAgainstSchema(value[name], attribute.value, `${prefix}${name}`, errors);
+  }
+
+  for (const name of Object.keys(value)) {
+    if (name in attributes || name === "_key") continue;
+    // The importer's own marker lives outside the schema on purpose
+    if (!fieldPath && name === "importedBy") continue;
+    errors.push(`${prefix}${name}: field is not in the schema`);
+  }
+}
+
+function validateSchemaUnion(value, node, fieldPath, errors) {
+  const members = node.of || [];
+
+  // Portable Text blocks, annotations and other objects are picked by _type
+  if (value && typeof value === "object" && typeof value._type === "string") {
+    const typed = members.filter((member) => schemaTypeName(member) !== undefined);
+    if (typed.length > 0) {
+      const match = typed.find((member) => schemaTypeName(member) === value._type);
+      if (!match) {
+        errors.push(
+          `${fieldPath}._type: "${value._type}" is not allowed here ` +
+          `(allowed: ${typed.map(schemaTypeName).join(", ")})`
+        );
+        return;
+      }
+      validateAgainstSchema(value, match, fieldPath, errors);
+      return;
+    }
+  }
+
+  // Otherwise one member has to accept the value (e.g. a style from a list)
+  for (const member of members) {
+    const memberErrors = [];
+    validateAgainstSchema(value, member, fieldPath, memberErrors);
+    if (memberErrors.length === 0) return;
+  }
+
+  const literals = members.map(resolveSchemaNode).filter((member) => member.value !== undefined);
+  if (literals.length > 0 && literals.length === members.length) {
+    errors.push(
+      `${fieldPath}: ${JSON.stringify(value)} is not allowed ` +
+      `(allowed: ${literals.map((member) => JSON.stringify(member.value)).join(", ")})`
+    );
+  } else {
+    errors.push(`${fieldPath}: ${describeValueType(value)} does not match any allowed type`);
+  }
+}
+
+/**
+ * Validate a built document against the loaded schema (no-op without one).
+ * Throws with every violation, so invalid documents are never written.
+ */
+function validateDocumentAgainstSchema(doc, mdFilePath) {
+  if (!sanitySchema) return;
+
+  const errors = [];
+  validateAgainstSchema(doc, { type: "inline", name: doc._type }, "", errors);
+
+  if (errors.length > 0) {
+    // Violations in a configured field point at the frontmatter key it came from
+    const keyOf = (message) => {
+      const field = message.match(/^([A-Za-z_]\w*)/)?.[1];
+      const spec = importConfig.fields[field];
+      return spec ? fieldSource(field, spec) : undefined;
+    };
+    throw Object.assign(
+      new Error(
+        `Schema validation failed in ${mdFilePath} (${doc._id}):\n` +
+        errors.map((e) => `         - ${e}`).join("\n")
+      ),
+      { details: errors.map((message) => ({ message, key: keyOf(message) })) }
+    );
+  }
+}
+
+// ------------------------------
+// Change detection (incremental imports)
+// ------------------------------
+
+/**
+ * Last-written fingerprint per document id:
+ * { version, posts: { [docId]: { fingerprint, file, writtenAt } } }
+ *
+ * Only updated after a successful --write upsert.
+ */
+const postState = loadJsonState(POST_STATE_PATH, { version: 1, posts: {} });
+
+/**
+ * Hash an image referenced by a post, or null if it cannot be resolved.
+ * Missing files are reported later by the import itself; here they only need
+ * to produce a stable fingerprint.
+ *
+ * Remote images are identified by their URL alone (never downloaded here):
+ * change the URL or use --force to pick up new content behind the same URL.
+ */
+function hashReferencedImage(mdFilePath, src) {
+  if (isRemoteImageSrc(src)) return null;
+  const absPath = resolvePath(mdFilePath, src);
+  if (!absPath || !fs.existsSync(absPath)) return null;
+  const sidecarPath = findImageSidecar(absPath);
+  return sha1(Buffer.concat([
+    readFileWithContext(absPath, "image asset"),
+    sidecarPath ? readFileWithContext(sidecarPath, "image sidecar") : Buffer.alloc(0),
+  ]));
+}
+
+/**
+ * Compute a fingerprint of everything that determines the written document:
+ * frontmatter, Markdown body, the content of every referenced image, the
+ * slugs of linked posts and the profiles its authors resolve to.
+ */
+function computePostFingerprint(mdFilePath, fm, content) {
+  const imageSrcs = referencedImageSrcs(fm, content);
+  const payload = JSON.stringify({
+    v: FINGERPRINT_VERSION,
+    config: importConfig,
+    fm,
+    content,
+    images: imageSrcs.map((src) => [src, hashReferencedImage(mdFilePath, src)]),
+    links: collectPostLinkSlugs(mdFilePath, content),
+    authors: resolvedAuthorProfiles(fm),
+  });
+  return sha1(Buffer.from(payload));
+}
+
+/**
+ * Every image a post references: image fields first, then inline images.
+ */
+function referencedImageSrcs(fm, content) {
+  return [
+    ...fieldsOfType("image").map(([key, spec]) => fm[fieldSource(key, spec)]).filter(Boolean),
+    ...extractInlineImages(content).images.map((img) => img.src),
+  ];
+}
+
+function isPostUnchanged(docId, fingerprint) {
+  return postState.posts[docId]?.fingerprint === fingerprint;
+}
+
+function recordPostFingerprint(docId, fingerprint, mdFilePath) {
+  postState.posts[docId] = {
+    fingerprint,
+    file: mdFilePath,
+    writtenAt: new Date().toISOString(),
+  };
+  saveJsonState(POST_STATE_PATH, postState);
+}
+
+/**
+ * Follow a document moved between its draft and published id (publish,
+ * unpublish), so the next import still sees it as unchanged. Without `toId`
+ * the fingerprint is dropped (the document is gone).
+ */
+function movePostFingerprint(fromId, toId = null) {
+  const entry = postState.posts[fromId];
+  if (!entry) return;
+  delete postState.posts[fromId];
+  if (toId) postState.posts[toId] = entry;
+  saveJsonState(POST_STATE_PATH, postState);
+}
+
+// ------------------------------
+// Checkpoint (--resume)
+// ------------------------------
+
+/**
+ * Checkpoint of the current --write run:
+ * { version, args, startedAt, completed: { [file]: docId }, assets: { [sha1]: assetId } }
+ *
+ * `args` are the CLI options the run was started with (minus --resume), so a
+ * resume cannot silently switch e.g. between drafts and published documents.
+ * The checkpoint is removed once a run finishes with no failures.
+ */
+let checkpoint = null;
+
+/**
+ * Set by the SIGINT handler: no new files are started, in-flight ones finish.
+ */
+let stopRequested = false;
+
+function checkpointArgs() {
+  return args.filter((a) => a !== "--resume");
+}
+
+/**
+ * Options as a sorted list of "flag value..." entries, so the same options
+ * given in a different order compare equal.
+ */
+function optionSet(argList) {
+  const entries = [];
+  for (const arg of argList) {
+    if (arg.startsWith("--") || entries.length === 0) entries.push([arg]);
+    else entries[entries.length - 1].push(arg);
+  }
+  return entries.map((entry) => entry.join(" ")).sort();
+}
+
+function shellQuote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replaceAll("'", "'\\''")}'`;
+}
+
+function resumeCommand() {
+  const script = path.relative(process.cwd(), process.argv[1]);
+  return ["node", script, ...checkpointArgs(), "--resume"].map(shellQuote).join(" ");
+}
+
+/**
+ * Start a fresh checkpoint, or load the existing one with --resume.
+ * Dry-runs never checkpoint, and neither does --watch (it re-imports failed
+ * posts on their next change instead).
+ */
+function initCheckpoint() {
+  if (!WRITE || WATCH) return;
+
+  if (RESUME) {
+    checkpoint = loadJsonState(CHECKPOINT_PATH, null);
+    if (!checkpoint) {
+      throw new Error(`--resume: no checkpoint found at ${CHECKPOINT_PATH}`);
+    }
+    const expected = optionSet(checkpoint.args);
+    const actual = optionSet(checkpointArgs());
+    if (expected.length !== actual.length || expected.some((entry, i) => entry !== actual[i])) {
+      throw new Error(
+        `--resume: checkpoint was created with different options ("${checkpoint.args.map(shellQuote).join(" ")}"). ` +
+        `Re-run with the same options plus --resume.`
+      );
+    }
+    // Assets uploaded before the interruption are reused without a lookup.
+    for (const [hash, assetId] of Object.entries(checkpoint.assets)) {
+      assetCache.set(hash, assetId);
+    }
+    return;
+  }
+
+  if (fs.existsSync(CHECKPOINT_PATH)) {
+    console.warn(`[warn] Discarding checkpoint from a previous run: ${CHECKPOINT_PATH}`);
+  }
+  checkpoint = {
+    version: 1,
+    args: checkpointArgs(),
+    startedAt: new Date().toISOString(),
+    completed: {},
+    assets: {},
+  };
+  saveJsonState(CHECKPOINT_PATH, checkpoint);
+}
+
+function isFileCompleted(mdFilePath) {
+  return Boolean(RESUME && checkpoint?.completed[mdFilePath]);
+}
+
+function markFileCompleted(mdFilePath, docId) {
+  if (!checkpoint) return;
+  checkpoint.completed[mdFilePath] = docId;
+  saveJsonState(CHECKPOINT_PATH, checkpoint);
+}
+
+function recordCheckpointAsset(hash, assetId) {
+  if (!checkpoint) return;
+  checkpoint.assets[hash] = assetId;
+  saveJsonState(CHECKPOINT_PATH, checkpoint);
+}
+
+function clearCheckpoint() {
+  if (fs.existsSync(CHECKPOINT_PATH)) fs.unlinkSync(CHECKPOINT_PATH);
+  checkpoint = null;
+}
+
+/**
+ * First Ctrl-C: stop starting new files and let in-flight posts finish.
+ * Second Ctrl-C: exit immediately.
+ */
+function installInterruptHandler() {
+  process.on("SIGINT", () => {
+    if (stopRequested) {
+      console.error("\n[interrupt] Exiting immediately.");
+      process.exit(130);
+    }
+    stopRequested = true;
+    console.error("\n[interrupt] Finishing in-flight post(s)... (Ctrl-C again to exit now)");
+  });
+}
+
+// ------------------------------
+// Inline image extraction + token replacement (format-preserving)
+// ------------------------------
+
+/**
+ * Same parser configuration @portabletext/markdown uses internally, so images
+ * and tables are found exactly where the converter sees them.
+ *
+ * The image, link, code span and inline HTML rules are wrapped to record
+ * where each token starts and ends in its inline content (`meta.srcStart` /
+ * `meta.srcEnd`), which lets image extraction rewrite the original source.
+ */
+const markdownParser = new MarkdownIt({ html: true, linkify: true, typographer: true })
+  .enable(["strikethrough", "table"]);
+
+for (const [name, type, rule] of [
+  ["image", "image", imageRule],
+  ["link", "link_open", linkRule],
+  ["backticks", "code_inline", backticksRule],
+  ["html_inline", "html_inline", htmlInlineRule],
+]) {
+  markdownParser.inline.ruler.at(name, (state, silent) => {
+    const first = state.tokens.length;
+    const start = state.pos;
+    const ok = rule(state, silent);
+    if (ok && !silent) {
+      const token = state.tokens.slice(first).find((t) => t.type === type);
+      if (token) token.meta = { ...token.meta, srcStart: start, srcEnd: state.pos };
+    }
+    return ok;
+  });
+}
+
+const IMG_TAG_RE = /<img\b[^>]*>/gi;
+const HTML_ATTR_RE = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+
+function parseHtmlAttrs(tag) {
+  const attrs = {};
+  for (const [, name, dq, sq, bare] of tag.matchAll(HTML_ATTR_RE)) {
+    attrs[name.toLowerCase()] = markdownParser.utils.unescapeAll(dq ?? sq ?? bare ?? "");
+  }
+  return attrs;
+}
+
+/**
+ * Build a mapper from offsets in an inline token's `content` to offsets in the
+ * Markdown source. Each content line is a suffix of its source line (after
+ * indentation, list markers or `>`); `lineCursor` keeps several inline tokens
+ * on one line (table cells) from matching the same text.
+ */
+function createSourceMapper(inline, firstLine, sourceLines, lineStarts, lineCursor) {
+  const contentLines = inline.content.split("\n");
+  const bases = contentLines.map((text, k) => {
+    const line = firstLine + k;
+    if (line >= sourceLines.length) return null;
+    const col = sourceLines[line].indexOf(text, lineCursor.get(line) || 0);
+    if (col < 0) return null;
+    lineCursor.set(line, col + text.length);
+    return lineStarts[line] + col;
+  });
+
+  return (offset) => {
+    const before = inline.content.slice(0, offset);
+    const k = before.split("\n").length - 1;
+    const col = offset - (before.lastIndexOf("\n") + 1);
+    return bases[k] == null ? null : bases[k] + col;
+  };
+}
+
+/**
+ * Rewrite Markdown from its markdown-it parse: `visit(block, ctx)` is called
+ * for every block token, and the edits it records are applied to the source
+ * afterwards. Shared by the image and footnote extraction, so table and offset
+ * handling live in one place. `ctx` holds:
+ * - source, lineStarts: the (LF-normalized) source and each line's offset
+ * - inTable:  whether the token is inside a table
+ * - toSource: for inline tokens, maps an offset in `block.content` to one in
+ *             the source (table cells use their row's line map); else null
+ * - edit(start, end, text, what): replace source[start, end), throwing (naming
+ *   `what`) if either offset could not be located
+ *
+ * Returns the rewritten source.
+ */
+function rewriteMarkdownTokens(markdown, visit) {
+  const source = markdown.replace(/\r\n?/g, "\n");
+  const sourceLines = source.split("\n");
+  const lineStarts = [0];
+  for (const line of sourceLines) lineStarts.push(lineStarts[lineStarts.length - 1] + line.length + 1);
+  const lineCursor = new Map();
+  const edits = [];
+
+  const ctx = {
+    source,
+    lineStarts,
+    inTable: false,
+    toSource: null,
+    edit(start, end, text, what) {
+      if (start == null || end == null) {
+        throw new Error(`Could not locate ${what} in the Markdown source`);
+      }
+      edits.push({ start, end, text });
+    },
+  };
+  let rowMap = null;
+
+  for (const block of markdownParser.parse(source, {})) {
+    if (block.type === "table_open") ctx.inTable = true;
+    if (block.type === "table_close") ctx.inTable = false;
+    if (block.type === "tr_open") rowMap = block.map;
+
+    // Table cells carry no line map of their own: use their row's
+    const map = block.map || (ctx.inTable ? rowMap : null);
+    ctx.toSource = block.type === "inline" && map && block.children
+      ? createSourceMapper(block, map[0], sourceLines, lineStarts, lineCursor)
+      : null;
+    visit(block, ctx);
+  }
+
+  let rewritten = source;
+  for (const { start, end, text } of edits.sort((a, b) => b.start - a.start)) {
+    rewritten = rewritten.slice(0, start) + text + rewritten.slice(end);
+  }
+  return rewritten;
+}
+
+/**
+ * True if the link opened at `openIdx` contains nothing but a single image,
+ * e.g. `[![badge](b.png)](https://ci.example)`.
+ */
+function isImageOnlyLink(children, openIdx) {
+  const inner = [];
+  let depth = 0;
+  for (let i = openIdx + 1; i < children.length; i++) {
+    const child = children[i];
+    if (child.type === "link_close" && depth === 0) break;
+    if (child.type === "link_open") depth++;
+    if (child.type === "link_close") depth--;
+    inner.push(child);
+  }
+  const meaningful = inner.filter((c) => !(c.type === "text" && !c.content.trim()));
+  return meaningful.length === 1 && meaningful[0].type === "image";
+}
+
+/**
+ * Find images with a real Markdown parse (markdown-it) and replace them with
+ * unique tokens so we can:
+ * 1) convert markdown -> Portable Text
+ * 2) upload images
+ * 3) replace token blocks/spans with PT `image` blocks
+ *
+ * Supported forms:
+ *   ![alt](path "caption")
+ *   ![alt](<path with spaces> "caption")
+ *   ![alt][ref]   (reference-style, with `[ref]: path "caption"`)
+ *   <img src="path" alt="alt" title="caption">
+ *   [![alt](path)](https://target)   (kept as the image's `link`)
+ *
+ * Code spans, fenced and indented code are never touched. Images in table
+ * cells, and `<img>` inside HTML blocks that also hold text, cannot become
+ * image blocks: they are reported as `unsupported` (table images keep their
+ * alt text).
+ *
+ * Returns { rewrittenMarkdown, images, unsupported }.
+ */
+function extractInlineImages(markdown) {
+  const images = [];
+  const unsupported = [];
+
+  const addImage = ({ src, alt, title, link }) => {
+    const token = `[[[SANITY_IMAGE_${images.length}]]]`;
+    images.push({
+      token,
+      src: markdownParser.normalizeLinkText(String(src || "").trim()),
+      alt: (alt || "").trim(),
+      caption: (title || "").trim(),
+      link: link || null,
+    });
+    return token;
+  };
+
+  const rewrittenMarkdown = rewriteMarkdownTokens(markdown, (block, { source, lineStarts, inTable, toSource, edit }) => {
+    // Raw HTML blocks: only whole blocks of <img> (plus wrapper tags) are images
+    if (block.type === "html_block" && block.map && !block.content.trimStart().startsWith("<!--")) {
+      const [first, last] = block.map;
+      const start = lineStarts[first];
+      const end = lineStarts[last] - 1;
+      const region = source.slice(start, end);
+      const tags = region.match(IMG_TAG_RE);
+      if (!tags) return;
+
+      const text = region.replace(/<\/?[a-z][^>]*>/gi, "").trim();
+      if (text) {
+        for (const tag of tags) unsupported.push({ src: parseHtmlAttrs(tag).src || tag, reason: "HTML block with text, left as HTML" });
+        return;
+      }
+
+      const tokens = [];
+      let href = null;
+      for (const [tag] of region.matchAll(/<\/?a\b[^>]*>|<img\b[^>]*>/gi)) {
+        if (/^<a\b/i.test(tag)) href = parseHtmlAttrs(tag).href || null;
+        else if (/^<\/a/i.test(tag)) href = null;
+        else tokens.push(addImage({ ...parseHtmlAttrs(tag), link: href }));
+      }
+      edit(start, end, region.match(/^\s*/)[0] + tokens.join(" "), `image ${tags[0]}`);
+      return;
+    }
+
+    if (!toSource) return;
+    const links = [];
+
+    block.children.forEach((child, i) => {
+      const range = child.meta?.srcStart != null ? child.meta : null;
+
+      if (child.type === "link_open") {
+        links.push({ href: child.attrGet("href"), openIdx: i, range });
+        return;
+      }
+      if (child.type === "link_close") {
+        links.pop();
+        return;
+      }
+
+      let image = null;
+      if (child.type === "image") {
+        image = {
+          src: child.attrGet("src"),
+          alt: markdownParser.renderer.renderInlineAsText(child.children || [], markdownParser.options, {}),
+          title: child.attrGet("title"),
+        };
+      } else if (child.type === "html_inline") {
+        if (/^<a\b/i.test(child.content)) {
+          links.push({ href: parseHtmlAttrs(child.content).href || null, html: true });
+        } else if (/^<\/a/i.test(child.content)) {
+          if (links[links.length - 1]?.html) links.pop();
+        } else if (/^<img\b/i.test(child.content)) {
+          image = parseHtmlAttrs(child.content);
+        }
+      }
+      if (!image || !range) return;
+
+      const what = `image ${block.content.slice(range.srcStart, range.srcEnd)}`;
+
+      if (inTable) {
+        unsupported.push({ src: image.src, reason: "table cell, kept as alt text" });
+        edit(toSource(range.srcStart), toSource(range.srcEnd), (image.alt || "").replace(/\|/g, "\\|"), what);
+        return;
+      }
+
+      const link = links[links.length - 1];
+      const token = addImage({ ...image, link: link?.href });
+
+      // A link around nothing but this image is replaced as a whole
+      const target = link && !link.html && link.range && isImageOnlyLink(block.children, link.openIdx)
+        ? link.range
+        : range;
+      edit(toSource(target.srcStart), toSource(target.srcEnd), token, what);
+    });
+  });
+
+  return { rewrittenMarkdown, images, unsupported };
+}
+
+/**
+ * Split Markdown into alternating prose / fenced-code segments.
+ * Follows the CommonMark fence rules closely enough for our content:
+ * an opening ``` or ~~~ run (3+, up to 3 spaces indent) is closed by a run of
+ * the same character at least as long; an unclosed fence runs to the end.
+ */
+function splitFencedCode(markdown) {
+  const segments = [];
+  const lines = markdown.split(/(?<=\n)/);
+  let current = { isCode: false, text: "" };
+  let fence = null;
+
+  for (const line of lines) {
+    if (!fence) {
+      const open = line.match(/^ {0,3}(`{3,}|~{3,})/);
+      if (open && !(open[1][0] === "`" && line.slice(open[0].length).includes("`"))) {
+        segments.push(current);
+        current = { isCode: true, text: line };
+        fence = open[1];
+        continue;
+      }
+      current.text += line;
+      continue;
+    }
+
+    current.text += line;
+    const close = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+    if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+      segments.push(current);
+      current = { isCode: false, text: "" };
+      fence = null;
+    }
+  }
+
+  segments.push(current);
+  return segments.filter((segment) => segment.text.length > 0);
+}
+
+/**
+ * True if the Portable Text block is just the token text (ignoring whitespace).
+ * If so, we can safely replace the entire block with an image block.
+ */
+function isTokenOnlyBlock(block, token) {
+  if (block?._type !== "block" || !Array.isArray(block.children)) return false;
+
+  const text = block.children
+    .filter((c) => c && c._type === "span")
+    .map((c) => (typeof c.text === "string" ? c.text : ""))
+    .join("");
+
+  return text.trim() === token;
+}
+
+/**
+ * Detect tokens in the *concatenated* span text of the block.
+ * This is more robust than checking each span individually because
+ * the converter could (rarely) split token text across spans.
+ */
+function blockContainsAnyToken(block, tokens) {
+  if (block?._type !== "block" || !Array.isArray(block.children)) return false;
+
+  const full = block.children
+    .filter((c) => c && c._type === "span" && typeof c.text === "string")
+    .map((c) => c.text)
+    .join("");
+
+  return tokens.some((t) => full.includes(t));
+}
+
+/**
+ * Return true if a Portable Text block contains meaningful content.
+ * This prevents accidental dropping of blocks that have non-span children
+ * (rare, but possible depending on conversion output).
+ */
+function hasMeaningfulChildren(block) {
+  if (!block || !Array.isArray(block.children)) return false;
+
+  return block.children.some((c) => {
+    if (!c) return false;
+    if (c._type !== "span") return true; // non-span child: keep
+    if (typeof c.text !== "string") return false;
+    return c.text.trim().length > 0;
+  });
+}
+
+/**
+ * Split a single PT text block by inserting image blocks wherever tokens occur,
+ * while preserving:
+ * - span marks (bold/italic/code/link keys)
+ * - markDefs (link definitions)
+ *
+ * Result is a sequence: [block?, image, block?, image, ...]
+ * Each block is a normal PT "block" with children spans.
+ */
+function splitBlockByTokensPreserveMarks(block, tokens, tokenToImageBlock) {
+  const out = [];
+
+  // Pieces keep the block's style and list membership (listItem/level)
+  const { _key: _oldKey, children: _oldChildren, ...blockProps } = block;
+  const newBlock = () => ({
+    ...blockProps,
+    _key: generateKey(),
+    _type: "block",
+    style: block.style || "normal",
+    markDefs: Array.isArray(block.markDefs) ? block.markDefs : [],
+    children: [],
+  });
+
+  // We'll rebuild paragraphs as we go.
+  let current = newBlock();
+
+  function flushCurrent() {
+    // Push only if it has meaningful content (text or non-span children).
+    if (hasMeaningfulChildren(current)) out.push(current);
+    current = newBlock();
+  }
+
+  for (const child of block.children) {
+    if (!child || child._type !== "span" || typeof child.text !== "string") {
+      // Conservatively keep non-span children inside the current block.
+      // Ensure child has a key
+      const childWithKey = child._key ? child : { ...child, _key: generateKey() };
+      current.children.push(childWithKey);
+      continue;
+    }
+
+    let text = child.text;
+
+    // Repeatedly split this span until it contains no tokens.
+    while (true) {
+      let nearestToken = null;
+      let nearestIdx = Infinity;
+
+      for (const t of tokens) {
+        const idx = text.indexOf(t);
+        if (idx !== -1 && idx < nearestIdx) {
+          nearestIdx = idx;
+          nearestToken = t;
+        }
+      }
+
+      // No tokens in this span chunk => append remainder and move on.
+      if (!nearestToken) {
+        if (text.length > 0) {
+          current.children.push({ ...child, _key: generateKey(), text });
+        }
+        break;
+      }
+
+      // Split into: before token, (token => image), after token.
+      // Whitespace next to the image would dangle at the paragraph edges.
+      const before = text.slice(0, nearestIdx).trimEnd();
+      const after = text.slice(nearestIdx + nearestToken.length).trimStart();
+
+      if (before.length > 0) {
+        current.children.push({ ...child, _key: generateKey(), text: before });
+      }
+
+      // Emit current paragraph (if any), then the image block
+      flushCurrent();
+      out.push({ ...tokenToImageBlock[nearestToken], _key: generateKey() });
+
+      // Continue with "after" in a new paragraph, preserving marks
+      text = after;
+    }
+  }
+
+  flushCurrent();
+  return out;
+}
+
+/**
+ * Replace tokens inside Portable Text blocks with image blocks while preserving formatting.
+ *
+ * Strategy:
+ * - If block is token-only: replace whole block with image block.
+ * - Else if block contains token: split the block preserving marks.
+ * - Else: keep block unchanged.
+ */
+function replaceTokensWithImageBlocksPreserveMarks(ptBlocks, tokenToImageBlock) {
+  const tokens = Object.keys(tokenToImageBlock);
+  const out = [];
+
+  for (const block of ptBlocks) {
+    if (block?._type !== "block") {
+      // Non-block items (shouldn't happen often) - ensure they have keys
+      const blockWithKey = block._key ? block : { ...block, _key: generateKey() };
+      out.push(blockWithKey);
+      continue;
+    }
+
+    const tokenOnly = tokens.find((t) => isTokenOnlyBlock(block, t));
+    if (tokenOnly) {
+      // Replace entire block with image block (with key)
+      out.push({ ...tokenToImageBlock[tokenOnly], _key: generateKey() });
+      continue;
+    }
+
+    if (blockContainsAnyToken(block, tokens)) {
+      out.push(...splitBlockByTokensPreserveMarks(block, tokens, tokenToImageBlock));
+      continue;
+    }
+
+    out.push(block);
+  }
+
+  return out;
+}
+
+/**
+ * Ensure all blocks and their children have _key properties.
+ * This is required by Sanity for Portable Text arrays.
+ * Tables are walked too: rows, rich cells and the Portable Text inside them.
+ */
+function ensureKeys(ptBlocks) {
+  return ptBlocks.map((block) => {
     const blockWithKey = block._key ? block : { ...block, _key: generateKey() };
 
-    // If block has children (spans), ensure they have keys too
-    if (Array.isArray(blockWithKey.children)) {
-      blockWithKey.children = blockWithKey.children.map((child) => {
-        return child._key ? child : { ...child, _key: generateKey() };
-      });
+    // If block has children (spans), ensure they have keys too
+    if (Array.isArray(blockWithKey.children)) {
+      blockWithKey.children = blockWithKey.children.map((child) => {
+        return child._key ? child : { ...child, _key: generateKey() };
+      });
+    }
+
+    if (isTableType(blockWithKey._type) && Array.isArray(blockWithKey.rows)) {
+      blockWithKey.rows = blockWithKey.rows.map((row) => {
+        const rowWithKey = row._key ? row : { ...row, _key: generateKey() };
+        if (Array.isArray(rowWithKey.richCells)) {
+          rowWithKey.richCells = rowWithKey.richCells.map((cell) => ({
+            ...cell,
+            _key: cell._key || generateKey(),
+            content: ensureKeys(cell.content || []),
+          }));
+        }
+        return rowWithKey;
+      });
+    }
+
+    return blockWithKey;
+  });
+}
+
+/**
+ * Block types the importer itself produces for the target schema.
+ * These are never subject to the block type policy.
+ */
+const STANDARD_BLOCK_TYPES = new Set(["block", "image", "code", "table"]);
+
+/**
+ * The @sanity/table type, or the configured rich table type.
+ */
+function isTableType(type) {
+  return type === "table" || (Boolean(type) && type === importConfig.richTableType);
+}
+
+/**
+ * Apply the config's block type policy to top-level body blocks:
+ * - "map":  replace the block with the policy's `to` object (keeping its _key)
+ * - "pass": keep the block as the converter emitted it
+ * - "drop": remove the block (intentional, reported)
+ * Types with no policy are dropped too, but flagged as `silent` content loss.
+ *
+ * Returns { blocks, drops } where drops is [{ type, count, silent }].
+ */
+function applyBlockTypePolicy(ptBlocks) {
+  const blocks = [];
+  const dropCounts = new Map();
+
+  for (const block of ptBlocks) {
+    const type = block?._type;
+    if (STANDARD_BLOCK_TYPES.has(type) || isTableType(type)) {
+      blocks.push(block);
+      continue;
+    }
+
+    const policy = importConfig.blockTypes[type];
+    const { action, to } = policy ? normalizeBlockPolicy(policy) : { action: "drop" };
+
+    if (action === "map") {
+      blocks.push({ ...to, _key: block._key || generateKey() });
+    } else if (action === "pass") {
+      blocks.push(block);
+    } else {
+      dropCounts.set(type, (dropCounts.get(type) || 0) + 1);
+    }
+  }
+
+  const drops = [...dropCounts].map(([type, count]) => ({
+    type,
+    count,
+    silent: !importConfig.blockTypes[type],
+  }));
+  return { blocks, drops };
+}
+
+/**
+ * Report dropped blocks for a file. In --check mode, content lost to a block
+ * type without any policy fails the file.
+ */
+function reportDroppedBlocks(mdFilePath, drops) {
+  const file = path.basename(mdFilePath);
+  for (const { type, count, silent } of drops) {
+    if (silent) {
+      logWarn(`  [warn] dropped ${count} "${type}" block(s) in ${file}: no block type policy (add one under blockTypes)`);
+    } else {
+      log(`  [drop] ${count} "${type}" block(s) in ${file} (block type policy)`);
+    }
+  }
+
+  const silent = drops.filter((d) => d.silent);
+  if (CHECK && silent.length > 0) {
+    const types = silent.map((d) => `"${d.type}"`).join(", ");
+    throw new Error(`Content would be lost in ${mdFilePath}: no block type policy for ${types}`);
+  }
+}
+
+// ------------------------------
+// Footnotes
+// ------------------------------
+
+const FOOTNOTE_DEF_RE = /^\[\^([^\]\s]+)\]:[ \t]?(.*?)\r?\n?$/;
+const FOOTNOTE_REF_RE = /\[\^([^\]\s]+)\](?!:)/g;
+
+/**
+ * Pull footnote definitions out of the Markdown and replace references with
+ * unique tokens (same idea as inline images), so the converter neither turns
+ * `[^1]: text` into a link definition nor `[^1]` into a link.
+ *
+ * Definitions may continue over lines indented by 4 spaces or a tab,
+ * including after blank lines. Fenced code is left untouched.
+ *
+ * References are found in markdown-it's inline tokens, so code spans, fenced
+ * and indented code never hold one. Table cells are plain text: references
+ * there stay literal `[^label]` text.
+ *
+ * Returns:
+ * - markdown:   the rewritten Markdown
+ * - footnotes:  [{ label, number, key, token, text }] in order of first reference
+ * - missing:    labels referenced without a definition (left as literal text)
+ * - unused:     labels defined but never referenced (dropped)
+ * - tableCells: labels referenced from table cells (left as literal text)
+ */
+function extractFootnotes(markdown) {
+  const definitions = new Map();
+  const segments = splitFencedCode(markdown);
+
+  // Pass 1: remove definitions from prose segments.
+  for (const segment of segments) {
+    if (segment.isCode) continue;
+
+    const kept = [];
+    let label = null;
+    let pendingBlank = [];
+
+    for (const line of segment.text.split(/(?<=\n)/)) {
+      const def = line.match(FOOTNOTE_DEF_RE);
+      if (def) {
+        kept.push(...pendingBlank);
+        pendingBlank = [];
+        label = def[1];
+        definitions.set(label, [def[2]]);
+        continue;
+      }
+
+      if (label && line.trim() === "") {
+        pendingBlank.push(line);
+        continue;
+      }
+
+      if (label && /^( {4}|\t)/.test(line)) {
+        const body = definitions.get(label);
+        body.push(...pendingBlank.map(() => ""), line.replace(/^( {4}|\t)/, "").replace(/\r?\n$/, ""));
+        pendingBlank = [];
+        continue;
+      }
+
+      kept.push(...pendingBlank, line);
+      pendingBlank = [];
+      label = null;
+    }
+
+    kept.push(...pendingBlank);
+    segment.text = kept.join("");
+  }
+
+  // Pass 2: replace references in inline text, numbering footnotes by first reference.
+  const footnotes = new Map();
+  const missing = new Set();
+  const tableCells = new Set();
+
+  const source = segments.map((segment) => segment.text).join("");
+  const rewritten = rewriteMarkdownTokens(source, (block, { inTable, toSource, edit }) => {
+    if (!toSource) return;
+
+    const codeSpans = block.children
+      .filter((child) => child.type === "code_inline" && child.meta?.srcStart != null)
+      .map((child) => child.meta);
+
+    for (const match of block.content.matchAll(FOOTNOTE_REF_RE)) {
+      const at = match.index;
+      if (codeSpans.some((span) => at >= span.srcStart && at < span.srcEnd)) continue;
+
+      const label = match[1];
+      if (!definitions.has(label)) {
+        missing.add(label);
+        continue;
+      }
+      if (inTable) {
+        tableCells.add(label);
+        continue;
+      }
+
+      if (!footnotes.has(label)) {
+        const number = footnotes.size + 1;
+        footnotes.set(label, {
+          label,
+          number,
+          key: generateKey(),
+          token: `[[[SANITY_FOOTNOTE_${number}]]]`,
+          text: definitions.get(label).join("\n"),
+        });
+      }
+      edit(toSource(at), toSource(at + match[0].length), footnotes.get(label).token, `footnote reference ${match[0]}`);
+    }
+  });
+
+  const unused = [...definitions.keys()].filter((label) => !footnotes.has(label));
+
+  return {
+    markdown: rewritten,
+    footnotes: [...footnotes.values()],
+    missing: [...missing],
+    unused,
+    tableCells: [...tableCells],
+  };
+}
+
+/**
+ * Replace footnote tokens inside text blocks with a span showing the footnote
+ * number, annotated with a `footnote` markDef pointing at the footnote entry.
+ * Surrounding span marks (bold/italic/links) are preserved on every piece.
+ */
+function applyFootnoteTokens(ptBlocks, footnotes) {
+  if (footnotes.length === 0) return ptBlocks;
+  const byToken = new Map(footnotes.map((fn) => [fn.token, fn]));
+
+  return ptBlocks.map((block) => {
+    if (block?._type !== "block" || !Array.isArray(block.children)) return block;
+    if (!blockContainsAnyToken(block, [...byToken.keys()])) return block;
+
+    const markDefs = [...(block.markDefs || [])];
+    const children = [];
+
+    for (const child of block.children) {
+      if (child?._type !== "span" || typeof child.text !== "string") {
+        children.push(child);
+        continue;
+      }
+
+      const parts = child.text.split(/(\[\[\[SANITY_FOOTNOTE_\d+\]\]\])/);
+      for (const part of parts) {
+        if (!part) continue;
+        const fn = byToken.get(part);
+        if (!fn) {
+          children.push({ ...child, _key: generateKey(), text: part });
+          continue;
+        }
+        const markKey = generateKey();
+        markDefs.push({ _key: markKey, _type: "footnote", footnoteKey: fn.key });
+        children.push({
+          ...child,
+          _key: generateKey(),
+          text: String(fn.number),
+          marks: [...(child.marks || []), markKey],
+        });
+      }
+    }
+
+    return { ...block, markDefs, children };
+  });
+}
+
+/**
+ * Build the post's footnote entries, converting each definition to Portable Text.
+ */
+function buildFootnoteEntries(footnotes) {
+  return footnotes.map((fn) => ({
+    _key: fn.key,
+    _type: "footnoteDefinition",
+    label: fn.label,
+    number: fn.number,
+    content: ensureKeys(markdownToPortableText(fn.text)),
+  }));
+}
+
+/**
+ * Report footnote problems for a file. References in table cells are always
+ * reported (their text is kept as is); the rest only in --check.
+ */
+function reportFootnoteIssues(mdFilePath, { missing, unused, tableCells }) {
+  const file = path.basename(mdFilePath);
+  for (const label of tableCells) {
+    logWarn(`  [warn] footnote [^${label}] in a table cell in ${file} kept as text (cells are plain text)`);
+  }
+  if (!CHECK) return;
+  for (const label of missing) {
+    logWarn(`  [warn] footnote [^${label}] in ${file} has no definition (left as text)`);
+  }
+  for (const label of unused) {
+    logWarn(`  [warn] footnote definition [^${label}] in ${file} is never referenced (dropped)`);
+  }
+}
+
+// ------------------------------
+// Fenced code blocks (@sanity/code-input)
+// ------------------------------
+
+/**
+ * Languages @sanity/code-input supports out of the box.
+ * Anything else is kept as written, but --check warns about it.
+ */
+const KNOWN_CODE_LANGUAGES = new Set([
+  "batchfile", "css", "groq", "html", "java", "javascript", "json", "jsx",
+  "markdown", "mysql", "php", "python", "ruby", "sass", "scss", "sh", "sql",
+  "text", "tsx", "typescript", "xml", "yaml",
+]);
+
+/**
+ * Common fence language names -> code-input language ids.
+ */
+const CODE_LANGUAGE_ALIASES = {
+  js: "javascript",
+  mjs: "javascript",
+  cjs: "javascript",
+  ts: "typescript",
+  py: "python",
+  rb: "ruby",
+  bash: "sh",
+  shell: "sh",
+  zsh: "sh",
+  console: "sh",
+  yml: "yaml",
+  md: "markdown",
+  htm: "html",
+  txt: "text",
+  plaintext: "text",
+  jsonc: "json",
+  bat: "batchfile",
+};
+
+/**
+ * Parse a highlighted-lines spec like "1,3-5" into [1, 3, 4, 5]. Lines past
+ * `maxLine` (the code block's line count) are dropped, so a range like
+ * {1-1000000000} costs no more than the block itself.
+ */
+function parseLineRanges(spec, maxLine) {
+  const lines = new Set();
+  for (const part of spec.split(",")) {
+    const range = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!range) continue;
+    const start = Number(range[1]);
+    const end = Math.min(range[2] ? Number(range[2]) : start, maxLine);
+    for (let n = start; n <= end; n++) lines.add(n);
+  }
+  return [...lines].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a fence info string, e.g. `ts title="app.ts" {3-5}`, into
+ * { language, filename, highlightedLines }. `filename=` works like `title=`.
+ * Highlighted lines are limited to the block's `lineCount`.
+ */
+function parseFenceInfo(info, lineCount) {
+  const result = { language: undefined, filename: undefined, highlightedLines: [] };
+  if (!info) return result;
+
+  let rest = info.replace(/\{([\d,\s-]+)\}/, (_, spec) => {
+    result.highlightedLines = parseLineRanges(spec, lineCount);
+    return " ";
+  });
+
+  rest = rest.replace(/(\w+)=(?:"([^"]*)"|'([^']*)'|(\S+))/g, (match, key, dq, sq, bare) => {
+    if (key !== "title" && key !== "filename") return match;
+    result.filename = dq ?? sq ?? bare;
+    return " ";
+  });
+
+  const language = rest.trim().split(/\s+/)[0];
+  if (language) {
+    const lower = language.toLowerCase();
+    result.language = CODE_LANGUAGE_ALIASES[lower] || lower;
+  }
+  return result;
+}
+
+/**
+ * Build a code-input `code` object from the converter's { language, code } value,
+ * where `language` is the raw fence info string.
+ */
+function buildCodeBlock({ language: info, code }, key) {
+  const { language, filename, highlightedLines } = parseFenceInfo(info, code.split("\n").length);
+  const block = { _key: key, _type: "code", code };
+  if (language) block.language = language;
+  if (filename) block.filename = filename;
+  if (highlightedLines.length > 0) block.highlightedLines = highlightedLines;
+  return block;
+}
+
+// ------------------------------
+// Tables (@sanity/table)
+// ------------------------------
+
+function blockPlainText(block) {
+  return (block.children || []).map((c) => (typeof c.text === "string" ? c.text : "")).join("");
+}
+
+/**
+ * True if a cell's Portable Text carries anything plain text loses: marks
+ * (bold, code, links) or non-span children.
+ */
+function cellHasFormatting(blocks) {
+  return blocks.some((block) =>
+    (block.children || []).some((child) => child._type !== "span" || child.marks?.length > 0)
+  );
+}
+
+/**
+ * Header rows and column alignments per table, in document order:
+ * [{ headerRows, columnAlignments: ["left", "right", "center", "none"] }, ...]
+ *
+ * The converter drops both, so they are read from markdown-it's tokens: rows
+ * of `th` cells are header rows, and the alignment is the
+ * `style="text-align:..."` markdown-it puts on the cells of each column.
+ */
+function extractTableLayouts(markdown) {
+  const tables = [];
+  let current = null;
+  let row = null;
+
+  for (const token of markdownParser.parse(markdown, {})) {
+    if (token.type === "table_open") {
+      current = { headerRows: 0, columnAlignments: null };
+    } else if (token.type === "tr_open") {
+      row = [];
+    } else if ((token.type === "th_open" || token.type === "td_open") && row) {
+      row.push(token);
+    } else if (token.type === "tr_close" && current) {
+      if (row.every((cell) => cell.type === "th_open")) current.headerRows++;
+      current.columnAlignments ??= row.map((cell) => {
+        const align = (cell.attrGet("style") || "").match(/text-align:(\w+)/);
+        return align ? align[1] : "none";
+      });
+      row = null;
+    } else if (token.type === "table_close" && current) {
+      tables.push({ ...current, columnAlignments: current.columnAlignments || [] });
+      current = null;
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Build a table block from the converter's table value
+ * ({ rows: [{ cells: [{ value: [PT block] }] }] }) and its layout (see
+ * extractTableLayouts).
+ *
+ * By default this is an @sanity/table `table`, whose schema only holds
+ * plain-text cells: `onDropped({ cells, aligned })` reports what was lost.
+ * With `richTableType` set, the table is written as that type instead, keeping
+ * the header row count, column alignments and each cell's Portable Text
+ * (`richCells`) next to the plain `cells`.
+ */
+function buildTableBlock({ rows }, layout, keyGenerator, onDropped) {
+  const type = importConfig.richTableType;
+  const plainCells = (row) => row.cells.map((cell) => cell.value.map(blockPlainText).join("\n"));
+
+  if (!type) {
+    onDropped({
+      cells: rows.reduce((n, row) => n + row.cells.filter((cell) => cellHasFormatting(cell.value)).length, 0),
+      aligned: layout.columnAlignments.some((align) => align !== "none"),
+    });
+    return {
+      _key: keyGenerator(),
+      _type: "table",
+      rows: rows.map((row) => ({ _key: keyGenerator(), _type: "tableRow", cells: plainCells(row) })),
+    };
+  }
+
+  return {
+    _key: keyGenerator(),
+    _type: type,
+    headerRows: layout.headerRows,
+    columnAlignments: layout.columnAlignments,
+    rows: rows.map((row) => ({
+      _key: keyGenerator(),
+      _type: `${type}Row`,
+      cells: plainCells(row),
+      richCells: row.cells.map((cell) => ({
+        _key: keyGenerator(),
+        _type: `${type}Cell`,
+        content: cell.value,
+      })),
+    })),
+  };
+}
+
+/**
+ * Convert Markdown -> Portable Text, uploading inline images and replacing them with
+ * Portable Text `image` blocks (alt/caption preserved), while preserving text formatting.
+ * Fenced code becomes code-input `code` blocks; pipe tables become `table` objects.
+ */
+async function markdownToPortableTextWithInlineImages(mdFilePath, markdown) {
+  const { rewrittenMarkdown, images, unsupported } = extractInlineImages(markdown);
+  for (const { src, reason } of unsupported) {
+    logWarn(`  [warn] image not imported (${reason}): ${src} in ${path.basename(mdFilePath)}`);
+  }
+
+  const tableLayouts = extractTableLayouts(rewrittenMarkdown);
+  let tableIndex = 0;
+  const dropped = { cells: 0, aligned: 0 };
+  const onDropped = ({ cells, aligned }) => {
+    dropped.cells += cells;
+    if (aligned) dropped.aligned++;
+  };
+
+  // Convert to portable text first (tokens become literal text spans/blocks).
+  let pt = markdownToPortableText(rewrittenMarkdown, {
+    types: {
+      code: ({ context, value }) => buildCodeBlock(value, context.keyGenerator()),
+      table: ({ context, value }) => buildTableBlock(
+        value,
+        tableLayouts[tableIndex++] || { headerRows: 0, columnAlignments: [] },
+        context.keyGenerator,
+        onDropped
+      ),
+    },
+  });
+
+  if (dropped.cells > 0 || dropped.aligned > 0) {
+    const lost = [
+      dropped.cells > 0 && `inline marks in ${dropped.cells} cell(s)`,
+      dropped.aligned > 0 && `column alignment of ${dropped.aligned} table(s)`,
+    ].filter(Boolean).join(" and ");
+    logWarn(`  [warn] table formatting dropped in ${path.basename(mdFilePath)}: ${lost} (set 'richTableType' to keep it)`);
+  }
+
+  if (CHECK) {
+    for (const block of pt) {
+      if (block._type === "code" && block.language && !KNOWN_CODE_LANGUAGES.has(block.language)) {
+        logWarn(`  [warn] unknown code language "${block.language}" in ${path.basename(mdFilePath)}`);
+      }
+    }
+  }
+
+  // Ensure all blocks have keys
+  pt = ensureKeys(pt);
+
+  // Map, pass through or drop non-standard block types (e.g., horizontal-rule)
+  const { blocks, drops } = applyBlockTypePolicy(pt);
+  reportDroppedBlocks(mdFilePath, drops);
+  pt = blocks;
+
+  if (images.length === 0) return pt;
+
+  // Validate and resolve all image paths first
+  const imageData = images.map((img) => {
+    if (isRemoteImageSrc(img.src)) return img;
+    const absPath = resolvePath(mdFilePath, img.src);
+    if (!absPath || !fs.existsSync(absPath)) {
+      throw sourceError(`Inline image not found: ${img.src} (resolved: ${absPath})`, { text: img.src });
+    }
+    return { ...img, absPath };
+  });
+
+  // Upload images in parallel; requestLimit caps how many are in flight
+  const uploadResults = await Promise.all(
+    imageData.map(async (img) => {
+      const meta = img.absPath ? readImageSidecar(img.absPath) : {};
+      const source = img.absPath ? readLocalImage(img.absPath) : await fetchRemoteImage(img.src);
+      const image = await processImage(source);
+      const asset = await uploadImageAsset(image);
+      await applyAssetMetadata(asset._id, meta, image.filename);
+      return { ...img, asset, meta };
+    })
+  );
+
+  // Build token -> PT image block mapping. Markdown alt/title win over the sidecar.
+  const tokenToImageBlock = {};
+  for (const { token, asset, alt, caption, link, meta } of uploadResults) {
+    tokenToImageBlock[token] = {
+      _type: "image",
+      asset: { _type: "reference", _ref: asset._id },
+      ...imageFieldMetadata(meta),
+      alt: alt || meta.alt || "Image",
+      caption: caption || meta.caption || "",
+    };
+    if (link) tokenToImageBlock[token].link = link;
+  }
+
+  // Replace tokens with image blocks and ensure all blocks have keys
+  const result = replaceTokensWithImageBlocksPreserveMarks(pt, tokenToImageBlock);
+  return ensureKeys(result);
+}
+
+// ------------------------------
+// Links between posts
+// ------------------------------
+
+/** Target file -> slug, so each linked post is read once per run. */
+const linkedPostSlugs = new Map();
+
+/**
+ * Split a link href into a relative Markdown file path and anchor, or null if
+ * it is not a relative link to a `.md` file (URLs, mailto:, #anchors, /paths).
+ */
+function parsePostLinkHref(href) {
+  if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href) || /^[/#]/.test(href)) return null;
+
+  const hashIdx = href.indexOf("#");
+  let filePath = hashIdx >= 0 ? href.slice(0, hashIdx) : href;
+  const anchor = hashIdx >= 0 ? href.slice(hashIdx + 1) : "";
+  filePath = filePath.split("?")[0];
+  if (!/\.md$/i.test(filePath)) return null;
+
+  try {
+    filePath = decodeURIComponent(filePath);
+  } catch {
+    // Keep the raw path for malformed escapes
+  }
+  return { filePath, anchor };
+}
+
+/**
+ * Resolve a relative `.md` link from `mdFilePath` to the target post's slug.
+ * Returns { slug } or { error } describing why the link cannot be resolved.
+ */
+function resolvePostLink(mdFilePath, filePath) {
+  const target = resolvePath(mdFilePath, filePath);
+
+  if (!linkedPostSlugs.has(target)) {
+    let result;
+    if (!fs.existsSync(target)) {
+      result = { error: "file not found" };
+    } else if (!runFiles.has(target)) {
+      result = { error: `not in ${POSTS_DIR}` };
+    } else {
+      const { data: fm } = matter(readFileWithContext(target, "linked post", "utf8"));
+      try {
+        result = { slug: computeSlug(fm) };
+      } catch {
+        result = { error: "linked post has no slug or title" };
+      }
+    }
+    linkedPostSlugs.set(target, result);
+  }
+
+  return linkedPostSlugs.get(target);
+}
+
+/**
+ * Relative `.md` link targets of a post with their resolved slugs, so a post's
+ * fingerprint changes when a post it links to changes slug.
+ */
+function collectPostLinkSlugs(mdFilePath, markdown) {
+  const links = [];
+  const visit = (tokens) => {
+    for (const token of tokens || []) {
+      if (token.type === "link_open") {
+        const link = parsePostLinkHref(token.attrGet("href"));
+        if (link) links.push([link.filePath, resolvePostLink(mdFilePath, link.filePath).slug || null]);
+      }
+      visit(token.children);
+    }
+  };
+  visit(markdownParser.parse(markdown, {}));
+  return links;
+}
+
+/**
+ * Replace `link` markDefs pointing at other posts with `internalLink`
+ * annotations, in text blocks and inside rich table cells. The markDef `_key`
+ * is kept so spans stay annotated.
+ *
+ * Unresolvable links throw in --check; otherwise they are left as plain links
+ * and reported.
+ */
+function rewritePostLinks(mdFilePath, ptBlocks) {
+  const problems = [];
+
+  const rewriteMarkDef = (def) => {
+    if (def?._type !== "link") return def;
+    const link = parsePostLinkHref(def.href);
+    if (!link) return def;
+
+    const { slug, error } = resolvePostLink(mdFilePath, link.filePath);
+    if (error) {
+      problems.push({ message: `"${def.href}" (${error})`, text: def.href });
+      return def;
+    }
+
+    const internal = {
+      _key: def._key,
+      _type: "internalLink",
+      reference: {
+        _type: "reference",
+        _ref: makeDocumentId(importConfig.documentType, slug, { draft: false }),
+        _weak: true,
+      },
+    };
+    if (link.anchor) internal.anchor = link.anchor;
+    return internal;
+  };
+
+  const visit = (blocks) =>
+    blocks.map((block) => {
+      if (Array.isArray(block.markDefs)) {
+        return { ...block, markDefs: block.markDefs.map(rewriteMarkDef) };
+      }
+      if (isTableType(block._type) && Array.isArray(block.rows)) {
+        return {
+          ...block,
+          rows: block.rows.map((row) => (row.richCells
+            ? { ...row, richCells: row.richCells.map((cell) => ({ ...cell, content: visit(cell.content || []) })) }
+            : row)),
+        };
+      }
+      return block;
+    });
+
+  const result = visit(ptBlocks);
+
+  if (problems.length > 0) {
+    const file = path.basename(mdFilePath);
+    if (CHECK) {
+      throw Object.assign(
+        new Error(`Broken post link(s) in ${file}: ${problems.map((p) => p.message).join(", ")}`),
+        { details: problems.map(({ message, text }) => ({ message: `broken post link ${message}`, text })) }
+      );
+    }
+    for (const problem of problems) {
+      logWarn(`  [warn] post link ${problem.message} in ${file} kept as a plain link`);
+    }
+  }
+
+  return result;
+}
+
+// ------------------------------
+// Diff preview (--diff)
+// ------------------------------
+
+
+/**
+ * Deep-copy a value with every `_key` removed.
+ * Keys come from generateKey() and differ on every run, so they are noise in a diff.
+ */
+function stripKeys(value) {
+  if (Array.isArray(value)) return value.map(stripKeys);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (k !== "_key") out[k] = stripKeys(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Normalize a Portable Text block for comparison.
+ * Span marks reference markDefs by their random `_key`, so those references are
+ * rewritten to positional placeholders before the keys are stripped.
+ */
+function normalizeBlockForDiff(block) {
+  if (block?._type !== "block" || !Array.isArray(block.markDefs)) return stripKeys(block);
+
+  const keyToPlaceholder = new Map(block.markDefs.map((def, i) => [def._key, `markDef${i}`]));
+  const children = (block.children || []).map((child) => {
+    if (!Array.isArray(child?.marks)) return child;
+    return { ...child, marks: child.marks.map((m) => keyToPlaceholder.get(m) || m) };
+  });
+
+  return stripKeys({ ...block, children });
+}
+
+/**
+ * One-line, human-readable summary of a block for diff output.
+ */
+function describeBlock(block) {
+  if (block?._type === "block") {
+    const text = (block.children || []).map((c) => c.text || "").join("");
+    const style = block.listItem ? `${block.style}/${block.listItem}` : block.style;
+    return `${style}: ${JSON.stringify(truncate(text, 70))}`;
+  }
+  if (block?._type === "image") return `image: ${block.asset?._ref} ${JSON.stringify(block.alt || "")}`;
+  return `${block?._type}: ${truncate(JSON.stringify(stripKeys(block)), 70)}`;
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Diff two block arrays (already normalized to comparable strings) using the
+ * longest common subsequence. Returns a list of { op: "+" | "-", index, block }.
+ */
+function diffBlocks(oldBlocks, newBlocks) {
+  const a = oldBlocks.map((b) => JSON.stringify(normalizeBlockForDiff(b)));
+  const b = newBlocks.map((b) => JSON.stringify(normalizeBlockForDiff(b)));
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      changes.push({ op: "-", index: i, block: oldBlocks[i] });
+      i++;
+    } else {
+      changes.push({ op: "+", index: j, block: newBlocks[j] });
+      j++;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Fetch the live document by its deterministic ID and print what an upsert of
+ * `doc` would change. Configured fields are compared one by one; the body is
+ * diffed block by block. New documents are flagged as creations.
+ */
+async function printDocumentDiff(doc) {
+  const { bodyField } = importConfig;
+  const existing = await withRetry(
+    () => client.getDocument(doc._id),
+    { context: `fetch ${doc._id} for diff` }
+  );
+
+  if (!existing) {
+    log(`  [diff] ${doc._id}: CREATE (no existing document)`);
+    for (const field of Object.keys(importConfig.fields)) {
+      if (doc[field] == null) continue;
+      log(`    + ${field}: ${JSON.stringify(stripKeys(doc[field]))}`);
+    }
+    log(`    + ${bodyField}: ${doc[bodyField].length} block(s)`);
+    return;
+  }
+
+  const lines = [];
+  for (const field of Object.keys(importConfig.fields)) {
+    const before = JSON.stringify(stripKeys(existing[field] ?? null));
+    const after = JSON.stringify(stripKeys(doc[field] ?? null));
+    if (before === after) continue;
+    lines.push(`    ${field}:`);
+    lines.push(`      - ${before}`);
+    lines.push(`      + ${after}`);
+  }
+
+  const bodyChanges = diffBlocks(existing[bodyField] || [], doc[bodyField] || []);
+  if (bodyChanges.length > 0) {
+    lines.push(`    ${bodyField}: ${bodyChanges.length} block change(s)`);
+    for (const { op, index, block } of bodyChanges) {
+      lines.push(`      ${op} #${index + 1} ${describeBlock(block)}`);
+    }
+  }
+
+  if (lines.length === 0) {
+    log(`  [diff] ${doc._id}: no changes`);
+    return;
+  }
+
+  log(`  [diff] ${doc._id}: UPDATE`);
+  for (const line of lines) log(line);
+}
+
+// ------------------------------
+// Import per file
+// ------------------------------
+
+/**
+ * Compute a post's slug from the config's slug field:
+ * the explicit frontmatter value, else the slugified `source` key.
+ */
+function computeSlug(fm) {
+  const [[key, spec]] = fieldsOfType("slug");
+  return fm[fieldSource(key, spec)] || slugify(fm[spec.source]);
+}
+
+/**
+ * Build one configured document field from frontmatter.
+ * Missing optional values become null (or [] for arrays).
+ */
+async function buildField(key, spec, fm, mdFilePath, slug) {
+  const from = fieldSource(key, spec);
+  const value = fm[from];
+
+  switch (spec.type) {
+    case "string":
+      return value == null || value === "" ? null : String(value);
+
+    case "date":
+      if (value) return value;
+      return spec.default === "now" ? currentTime().toISOString() : null;
+
+    case "slug":
+      return { _type: "slug", current: slug };
+
+    case "array": {
+      if (!Array.isArray(value)) return [];
+      // Normalize to an array of strings
+      if (spec.of === "string") return value.map(String);
+
+      // of: "reference": one keyed reference per distinct document, so aliases
+      // and case variants of the same name collapse into a single entry.
+      const refs = [];
+      for (const item of value) {
+        const ref = await ensureReference({
+          to: spec.to,
+          name: resolveAlias(spec, String(item)),
+          create: Boolean(spec.create),
+          nameField: spec.nameField,
+          matchBy: spec.matchBy,
+          labels: { name: from },
+        });
+        if (!refs.some((r) => r._ref === ref)) {
+          refs.push({ _key: generateKey(), _type: "reference", _ref: ref });
+        }
+      }
+      return refs;
+    }
+
+    case "reference": {
+      const id = spec.idFrom ? fm[spec.idFrom] : null;
+      if (!value && !id) return null;
+      const ref = await ensureReference({
+        to: spec.to,
+        id,
+        name: value,
+        create: Boolean(spec.create),
+        nameField: spec.nameField,
+        matchBy: spec.matchBy,
+        labels: { name: from, id: spec.idFrom },
+      });
+      return { _type: "reference", _ref: ref };
+    }
+
+    case "image":
+      return value ? buildImageField(value, spec, fm, mdFilePath, { label: from, checkSize: true }) : null;
+
+    default:
+      throw new Error(`Unsupported field type "${spec.type}" for '${key}'`);
+  }
+}
+
+/**
+ * Upload an image referenced from frontmatter (local path or URL) and build
+ * the image field value, with alt text and metadata named by `spec`.
+ * `checkSize` applies the cover size warning (images.minCover*).
+ */
+async function buildImageField(value, spec, fm, filePath, { label, checkSize }) {
+  let source;
+  if (isRemoteImageSrc(value)) {
+    source = await fetchRemoteImage(value);
+  } else {
+    const absPath = resolvePath(filePath, value);
+    if (!absPath || !fs.existsSync(absPath)) {
+      throw sourceError(`${label} file not found: ${value} (resolved: ${absPath})`, { key: label });
+    }
+    source = readLocalImage(absPath);
+  }
+  if (checkSize) await checkCoverSize(source, label, filePath);
+  const processed = await processImage(source);
+  const asset = await uploadImageAsset(processed);
+  const meta = imageMetadataFromFrontmatter(fm, spec);
+  await applyAssetMetadata(asset._id, meta, processed.filename);
+
+  const image = {
+    _type: "image",
+    asset: { _type: "reference", _ref: asset._id },
+    ...imageFieldMetadata(meta),
+  };
+  if (spec.alt && fm[spec.alt]) image.alt = String(fm[spec.alt]);
+  if (meta.caption) image.caption = meta.caption;
+  return image;
+}
+
+async function importFile(mdFilePath, index, total) {
+  const filename = path.basename(mdFilePath);
+  log(`\n[${index + 1}/${total}] ${filename}`);
+
+  const raw = readFileWithContext(mdFilePath, "markdown post", "utf8");
+  const { data: fm, content } = matter(raw);
+
+  validateFrontmatter(fm, mdFilePath);
+
+  const slug = computeSlug(fm);
+
+  // Check for slug collisions
+  const slugCollision = checkSlugCollision(slug, mdFilePath);
+
+  if (CHECK) await lintPost({ mdFilePath, raw, fm, content, slug, slugCollision });
+
+  if (ONLY && slug !== ONLY) {
+    log(`  [skip] slug "${slug}" does not match --only "${ONLY}"`);
+    return { skipped: true, slug };
+  }
+
+  // Deterministic ID for idempotency: re-running updates the same post.
+  // The post's status decides between its draft and published document.
+  const { draft, publishAt } = resolvePostStatus(fm);
+  const docId = makeDocumentId(importConfig.documentType, slug, { draft });
+  const publishedId = publishedIdOf(docId);
+  const report = fileReportStore.getStore();
+  if (report) Object.assign(report, { slug, docId });
+
+  // Skip posts that have not changed since they were last written.
+  // --check always validates everything, so it never short-circuits here.
+  const fingerprint = computePostFingerprint(mdFilePath, fm, content);
+  if (!FORCE && !CHECK && isPostUnchanged(docId, fingerprint)) {
+    log(`  [unchanged] ${docId} (use --force to re-import)`);
+    return { unchanged: true, slug, docId };
+  }
+
+  // Configured fields (references resolved and images uploaded in declaration order)
+  const fields = {};
+  for (const [key, spec] of Object.entries(importConfig.fields)) {
+    fields[key] = await buildField(key, spec, fm, mdFilePath, slug);
+  }
+
+  // Footnote definitions are pulled out before conversion; references become tokens
+  const footnoteData = extractFootnotes(content);
+  reportFootnoteIssues(mdFilePath, footnoteData);
+
+  // Body Portable Text with inline images, footnote annotations and post links
+  const body = rewritePostLinks(
+    mdFilePath,
+    applyFootnoteTokens(
+      await markdownToPortableTextWithInlineImages(mdFilePath, footnoteData.markdown),
+      footnoteData.footnotes
+    )
+  );
+
+  const doc = {
+    _id: docId,
+    _type: importConfig.documentType,
+    ...fields,
+    [importConfig.bodyField]: body,
+    importedBy: IMPORTER_MARKER,
+  };
+  if (footnoteData.footnotes.length > 0) {
+    doc[importConfig.footnotesField] = buildFootnoteEntries(footnoteData.footnotes).map((entry) => ({
+      ...entry,
+      content: rewritePostLinks(mdFilePath, entry.content),
+    }));
+  }
+
+  validateDocumentAgainstSchema(doc, mdFilePath);
+
+  if (DIFF) await printDocumentDiff(doc);
+
+  // A scheduled post that is now written as published leaves its draft behind
+  const scheduledEntry = scheduleManifest.posts[publishedId];
+  const staleDraftId = !draft && scheduledEntry ? scheduledEntry.draftId : null;
+  const scheduleEntry = publishAt
+    ? { draftId: docId, slug, publishAt, file: mdFilePath }
+    : null;
+
+  if (ATOMIC) {
+    queueMutation({ createOrReplace: doc }, () => {
+      recordPostFingerprint(docId, fingerprint, mdFilePath);
+      updateSchedule(publishedId, scheduleEntry);
+      markFileCompleted(mdFilePath, docId);
+    });
+    if (staleDraftId) queueMutation({ delete: { id: staleDraftId } });
+    log(`  [${WRITE ? "queue" : "dry"}] ${WRITE ? "" : "would "}upsert in transaction: ${docId}`);
+    logSchedule(publishAt, staleDraftId);
+    return { dry: !WRITE, slug, docId };
+  }
+
+  if (!WRITE) {
+    reportMutation({ createOrReplace: doc });
+    if (staleDraftId) reportMutation({ delete: { id: staleDraftId } });
+    log(`  [dry] would upsert: ${docId}`);
+    logSchedule(publishAt, staleDraftId);
+    return { dry: true, slug, docId };
+  }
+
+  await withRetry(
+    () => requestLimit(() => staleDraftId
+      ? client.transaction().createOrReplace(doc).delete(staleDraftId).commit()
+      : client.createOrReplace(doc)),
+    { context: `upsert ${importConfig.documentType} "${slug}"` }
+  );
+  reportMutation({ createOrReplace: doc });
+  if (staleDraftId) reportMutation({ delete: { id: staleDraftId } });
+  recordPostFingerprint(docId, fingerprint, mdFilePath);
+  updateSchedule(publishedId, scheduleEntry);
+  log(`  [ok] upserted: ${docId}`);
+  logSchedule(publishAt, staleDraftId);
+  return { slug, docId };
+}
+
+// ------------------------------
+// Prune (--prune)
+// ------------------------------
+
+function isDraftId(id) {
+  return id.startsWith("drafts.");
+}
+
+/**
+ * Find and remove posts that no Markdown file maps to anymore.
+ *
+ * - Only the namespace being imported is considered: drafts with --draft,
+ *   published documents otherwise.
+ * - Documents without the importer marker are reported but never touched.
+ * - With --unpublish, published posts are moved back to drafts instead of deleted.
+ *
+ * Returns the number of documents pruned (or that would be pruned in dry-run).
+ */
+async function prunePosts(knownIds) {
+  logConsole.log("\nPrune:");
+
+  // Raw perspective: the default "published" perspective hides drafts.
+  const posts = await withRetry(
+    () => client.fetch(
+      `*[_type==$type]{_id, title, importedBy}`,
+      { type: importConfig.documentType },
+      { perspective: "raw" }
+    ),
+    { context: "fetch posts for prune" }
+  );
+
+  // A post's draft and published documents both belong to its Markdown file,
+  // whichever of the two its status wrote.
+  const orphans = posts.filter((doc) =>
+    isDraftId(doc._id) === DRAFT &&
+    !doc._id.startsWith("versions.") &&
+    !knownIds.has(publishedIdOf(doc._id))
+  );
+
+  if (orphans.length === 0) {
+    logConsole.log("  nothing to prune");
+    return 0;
+  }
+
+  let pruned = 0;
+  for (const doc of orphans) {
+    const label = `${doc._id} ("${doc.title || "untitled"}")`;
+
+    if (doc.importedBy !== IMPORTER_MARKER) {
+      console.warn(`  [warn] refusing to prune ${label}: not created by this importer`);
+      continue;
+    }
+
+    if (!WRITE && !ATOMIC) {
+      logConsole.log(`  [dry] would ${UNPUBLISH ? "unpublish" : "delete"}: ${label}`);
+      pruned++;
+      continue;
+    }
+
+    if (ATOMIC && !UNPUBLISH) {
+      queueMutation({ delete: { id: doc._id } });
+      logConsole.log(`  [${WRITE ? "queue" : "dry"}] ${WRITE ? "" : "would "}delete in transaction: ${label}`);
+      pruned++;
+      continue;
+    }
+
+    if (UNPUBLISH) {
+      // Unpublish = keep the content as a draft, remove the published document.
+      const full = await withRetry(
+        () => client.getDocument(doc._id),
+        { context: `fetch ${doc._id} for unpublish` }
+      );
+      if (ATOMIC) {
+        queueMutation({ createOrReplace: { ...full, _id: `drafts.${doc._id}` } });
+        queueMutation({ delete: { id: doc._id } });
+        logConsole.log(`  [${WRITE ? "queue" : "dry"}] ${WRITE ? "" : "would "}unpublish in transaction: ${label}`);
+        pruned++;
+        continue;
+      }
+      await withRetry(
+        () => client.transaction()
+          .createOrReplace({ ...full, _id: `drafts.${doc._id}` })
+          .delete(doc._id)
+          .commit(),
+        { context: `unpublish ${doc._id}` }
+      );
+      logConsole.log(`  [unpublish] ${label}`);
+    } else {
+      await withRetry(
+        () => client.delete(doc._id),
+        { context: `delete ${doc._id}` }
+      );
+      logConsole.log(`  [delete] ${label}`);
+    }
+    pruned++;
+  }
+
+  return pruned;
+}
+
+// ------------------------------
+// Publication status + scheduling (publish-due)
+// ------------------------------
+
+const POST_STATUSES = new Set(["draft", "published", "scheduled"]);
+
+/**
+ * Scheduled posts written as drafts, waiting for publish-due:
+ * { version, posts: { [publishedId]: { draftId, slug, publishAt, file } } }
+ *
+ * Only updated by --write runs and publish-due --write.
+ */
+const scheduleManifest = loadJsonState(SCHEDULE_PATH, { version: 1, posts: {} });
+
+function updateSchedule(publishedId, entry) {
+  if (entry) {
+    scheduleManifest.posts[publishedId] = entry;
+  } else if (scheduleManifest.posts[publishedId]) {
+    delete scheduleManifest.posts[publishedId];
+  } else {
+    return;
+  }
+  saveJsonState(SCHEDULE_PATH, scheduleManifest);
+}
+
+/**
+ * The config's publishAtField spec, or null when scheduling is not configured.
+ */
+function publishAtSpec() {
+  const key = importConfig.publishAtField;
+  return (key != null && importConfig.fields[key]) || null;
+}
+
+/**
+ * The post's publish date from frontmatter (a Date), or null.
+ */
+function publishAtValue(fm) {
+  const spec = publishAtSpec();
+  const value = spec ? fm[fieldSource(importConfig.publishAtField, spec)] : null;
+  if (!value || Number.isNaN(Date.parse(value))) return null;
+  return new Date(value);
+}
+
+/**
+ * Decide which document a post is written to, from its status:
+ * - draft:     always the draft
+ * - published: the published document
+ * - scheduled: the draft while the publish date is in the future, recorded in
+ *              the schedule manifest; the published document once it is due
+ * Without a status, a future publish date means scheduled, else published.
+ * --draft writes every post as a draft (scheduled ones are still recorded).
+ *
+ * Returns { status, draft, publishAt } where `publishAt` (ISO string) is only
+ * set while the post is waiting to be published.
+ */
+function resolvePostStatus(fm) {
+  const date = publishAtValue(fm);
+  const isFuture = Boolean(date) && date > currentTime();
+  const status = fm[importConfig.statusFrom] || (isFuture ? "scheduled" : "published");
+  const waiting = status === "scheduled" && isFuture;
+  return {
+    status,
+    draft: DRAFT || status === "draft" || waiting,
+    publishAt: waiting ? date.toISOString() : null,
+  };
+}
+
+function logSchedule(publishAt, staleDraftId) {
+  const prefix = WRITE ? "" : "would ";
+  if (publishAt) log(`  [schedule] ${prefix}publish at ${publishAt} (run publish-due)`);
+  if (staleDraftId) log(`  [schedule] due: ${prefix}remove scheduled draft ${staleDraftId}`);
+}
+
+/**
+ * publish-due: publish every scheduled draft whose time has come (per --now
+ * or the clock). Each post is promoted in its own transaction (draft copied
+ * to the published id, draft deleted). Dry-run unless --write.
+ *
+ * Returns the number of posts that failed.
+ */
+async function publishDuePosts() {
+  const now = currentTime();
+  const entries = Object.entries(scheduleManifest.posts)
+    .sort(([, a], [, b]) => Date.parse(a.publishAt) - Date.parse(b.publishAt));
+  const due = entries.filter(([, entry]) => Date.parse(entry.publishAt) <= now.getTime());
+
+  logConsole.log(`\nScheduled: ${entries.length} post(s), ${due.length} due at ${now.toISOString()}`);
+
+  let failed = 0;
+  for (const [publishedId, entry] of due) {
+    const label = `${entry.draftId} (due ${entry.publishAt})`;
+    try {
+      const draftDoc = await withRetry(
+        () => client.getDocument(entry.draftId),
+        { context: `fetch ${entry.draftId}` }
+      );
+      if (!draftDoc) {
+        logWarn(`  [warn] ${label}: draft not found (published or deleted elsewhere?); ${WRITE ? "dropped" : "would drop"} from schedule`);
+        if (WRITE) updateSchedule(publishedId, null);
+        continue;
+      }
+
+      const mutations = await buildPublishMutations(draftDoc);
+      if (!WRITE) {
+        log(`  [dry] would publish: ${label} -> ${publishedId}`);
+        logMutations(mutations);
+        continue;
+      }
+
+      await withRetry(
+        () => client.transaction(mutations).commit(),
+        { context: `publish ${entry.draftId}` }
+      );
+      // The published document now holds exactly what the draft's fingerprint describes
+      movePostFingerprint(entry.draftId, publishedId);
+      updateSchedule(publishedId, null);
+      log(`  [publish] ${label} -> ${publishedId}`);
+    } catch (e) {
+      failed++;
+      logError(`  [error] ${label}: ${e.message}`);
     }
+  }
 
-    return blockWithKey;
-  });
+  for (const [, entry] of entries.slice(due.length)) {
+    log(`  [pending] ${entry.draftId} publishes at ${entry.publishAt}`);
+  }
+
+  return failed;
+}
+
+// ------------------------------
+// Publish / unpublish / discard-draft commands
+// ------------------------------
+
+async function fetchDocument(id) {
+  return withRetry(() => client.getDocument(id), { context: `fetch ${id}` });
 }
 
 /**
- * Block types to filter out during conversion.
- * These are valid Portable Text but may not be in the target Sanity schema.
+ * Every `_ref` inside a document.
  */
-const UNSUPPORTED_BLOCK_TYPES = new Set(["horizontal-rule"]);
+function collectRefs(value, refs = []) {
+  if (Array.isArray(value)) {
+    for (const item of value) collectRefs(item, refs);
+  } else if (value && typeof value === "object") {
+    if (typeof value._ref === "string") refs.push(value._ref);
+    for (const child of Object.values(value)) collectRefs(child, refs);
+  }
+  return refs;
+}
 
 /**
- * Filter out block types that aren't supported by the target Sanity schema.
+ * Copy of a document with references to drafts pointed at their published ids.
  */
-function filterUnsupportedBlocks(ptBlocks) {
-  return ptBlocks.filter((block) => {
-    if (UNSUPPORTED_BLOCK_TYPES.has(block?._type)) {
-      return false;
-    }
-    return true;
-  });
+function repointDraftRefs(value) {
+  if (Array.isArray(value)) return value.map(repointDraftRefs);
+  if (!value || typeof value !== "object") return value;
+  const out = {};
+  for (const [key, child] of Object.entries(value)) {
+    out[key] = key === "_ref" && typeof child === "string" ? publishedIdOf(child) : repointDraftRefs(child);
+  }
+  return out;
 }
 
 /**
- * Convert Markdown -> Portable Text, uploading inline images and replacing them with
- * Portable Text `image` blocks (alt/caption preserved), while preserving text formatting.
+ * Mutations that publish a draft: the draft is copied to its published id
+ * (references to drafts repointed) and deleted.
+ *
+ * Drafts it references (authors auto-created by a --draft run) are published
+ * in the same transaction, as a published document must not reference a
+ * draft. Such a draft is only deleted once nothing else references it;
+ * drafts not created by this importer are refused.
  */
-async function markdownToPortableTextWithInlineImages(mdFilePath, markdown) {
-  const { rewrittenMarkdown, images } = extractInlineImages(markdown);
+async function buildPublishMutations(draftDoc) {
+  const mutations = [];
 
-  // Convert to portable text first (tokens become literal text spans/blocks).
-  let pt = markdownToPortableText(rewrittenMarkdown);
+  for (const refId of new Set(collectRefs(draftDoc).filter(isDraftId))) {
+    const refDoc = await fetchDocument(refId);
+    if (!refDoc) {
+      throw new Error(`${draftDoc._id} references a missing draft: ${refId}`);
+    }
+    if (refDoc.importedBy !== IMPORTER_MARKER) {
+      throw new Error(`${draftDoc._id} references ${refId}, which was not created by this importer (publish it in Studio first)`);
+    }
+    const otherReferrers = await withRetry(
+      () => client.fetch(
+        `count(*[references($id) && _id != $from])`,
+        { id: refId, from: draftDoc._id },
+        { perspective: "raw" }
+      ),
+      { context: `count references to ${refId}` }
+    );
+    mutations.push({ createOrReplace: { ...repointDraftRefs(refDoc), _id: publishedIdOf(refId) } });
+    if (!otherReferrers) mutations.push({ delete: { id: refId } });
+  }
 
-  // Ensure all blocks have keys
-  pt = ensureKeys(pt);
+  mutations.push(
+    { createOrReplace: { ...repointDraftRefs(draftDoc), _id: publishedIdOf(draftDoc._id) } },
+    { delete: { id: draftDoc._id } }
+  );
+  return mutations;
+}
 
-  // Filter out unsupported block types (e.g., horizontal-rule)
-  pt = filterUnsupportedBlocks(pt);
+function logMutations(mutations) {
+  for (const mutation of mutations) {
+    const [[kind, target]] = Object.entries(mutation);
+    const id = target._id || target.id;
+    const verb = kind === "delete" ? "delete" : "write";
+    log(`  [${WRITE ? verb : "dry"}] ${WRITE ? "" : `would ${verb}: `}${id}`);
+  }
+}
 
-  if (images.length === 0) return pt;
+/**
+ * publish / unpublish / discard-draft <slug>: move one document between its
+ * draft and published id in a single transaction. Only documents carrying the
+ * importer marker are touched. Dry-run unless --write.
+ */
+async function runDocumentCommand(command, slug, type) {
+  const draftId = makeDocumentId(type, slug, { draft: true });
+  const publishedId = makeDocumentId(type, slug, { draft: false });
+  const [draftDoc, publishedDoc] = await Promise.all([fetchDocument(draftId), fetchDocument(publishedId)]);
 
-  // Validate and resolve all image paths first
-  const imageData = images.map((img) => {
-    const absPath = resolvePath(mdFilePath, img.src);
-    if (!absPath || !fs.existsSync(absPath)) {
-      throw new Error(`Inline image not found: ${img.src} (resolved: ${absPath})`);
+  const source = command === "unpublish" ? publishedDoc : draftDoc;
+  const sourceId = command === "unpublish" ? publishedId : draftId;
+  if (!source) {
+    const hint = command === "publish" && publishedDoc ? " (already published)" : "";
+    throw new Error(`nothing to ${command}: ${sourceId} does not exist${hint}`);
+  }
+  if (source.importedBy !== IMPORTER_MARKER) {
+    throw new Error(`refusing to ${command} ${sourceId}: not created by this importer`);
+  }
+
+  let mutations;
+  if (command === "publish") {
+    mutations = await buildPublishMutations(draftDoc);
+  } else if (command === "unpublish") {
+    // An existing draft holds newer edits than the published document; keep it
+    mutations = draftDoc
+      ? [{ delete: { id: publishedId } }]
+      : [{ createOrReplace: { ...publishedDoc, _id: draftId } }, { delete: { id: publishedId } }];
+  } else {
+    if (!publishedDoc) {
+      throw new Error(`refusing to discard ${draftId}: it has no published version, so this would delete the ${type}`);
     }
-    return { ...img, absPath };
-  });
+    mutations = [{ delete: { id: draftId } }];
+  }
 
-  // Upload images in parallel for better performance
-  const uploadResults = await Promise.all(
-    imageData.map(async (img) => {
-      const asset = await uploadImageAsset(img.absPath);
-      return { token: img.token, asset, alt: img.alt, caption: img.caption };
-    })
+  log(`\n${command} ${type} "${slug}":`);
+  if (command === "unpublish" && draftDoc) log(`  [keep] ${draftId} already exists and keeps its changes`);
+  if (!WRITE) {
+    logMutations(mutations);
+    return;
+  }
+
+  await withRetry(
+    () => client.transaction(mutations).commit(),
+    { context: `${command} ${sourceId}` }
   );
+  logMutations(mutations);
 
-  // Build token -> PT image block mapping
-  const tokenToImageBlock = {};
-  for (const { token, asset, alt, caption } of uploadResults) {
-    tokenToImageBlock[token] = {
-      _type: "image",
-      asset: { _type: "reference", _ref: asset._id },
-      alt: alt || "Image",
-      caption: caption || "",
-    };
+  // Keep incremental-import and schedule state in step with the move
+  if (command === "publish") {
+    movePostFingerprint(draftId, publishedId);
+    updateSchedule(publishedId, null);
+  } else if (command === "unpublish") {
+    movePostFingerprint(publishedId, draftDoc ? null : draftId);
+  } else {
+    movePostFingerprint(draftId);
+    if (scheduleManifest.posts[publishedId]?.draftId === draftId) updateSchedule(publishedId, null);
   }
-
-  // Replace tokens with image blocks and ensure all blocks have keys
-  const result = replaceTokensWithImageBlocksPreserveMarks(pt, tokenToImageBlock);
-  return filterUnsupportedBlocks(ensureKeys(result));
+  log(`  [ok] ${command}: ${sourceId}`);
 }
 
 // ------------------------------
-// Import per file
+// Watch mode (--watch)
 // ------------------------------
 
-async function importFile(mdFilePath, index, total) {
-  const filename = path.basename(mdFilePath);
-  console.log(`\n[${index + 1}/${total}] ${filename}`);
+/**
+ * Local files each post depends on: mdFile (absolute) -> { assets, links, fm }.
+ * `assets` holds referenced images and their possible sidecars, `links` the
+ * Markdown files the post links to (their slug ends up in this post), `fm`
+ * the frontmatter, to tell which posts an author profile change affects.
+ */
+const postDependencies = new Map();
 
-  const raw = readFileWithContext(mdFilePath, "markdown post", "utf8");
-  const { data: fm, content } = matter(raw);
+/**
+ * Images (and their possible sidecars) of all author profiles: a change to
+ * one is handled like a change to the profiles themselves.
+ */
+const profileAssets = new Set();
 
-  validateFrontmatter(fm, mdFilePath);
+/**
+ * Add the local images among `srcs` (relative to `filePath`) and their
+ * possible sidecar files to `assets`.
+ */
+function addImageDependencies(assets, filePath, srcs) {
+  for (const src of srcs) {
+    if (isRemoteImageSrc(src)) continue;
+    const absPath = resolvePath(filePath, src);
+    assets.add(absPath);
+    assets.add(`${absPath}.yml`);
+    assets.add(`${absPath}.yaml`);
+  }
+}
 
-  const title = fm.title;
-  const slug = fm.slug || slugify(title);
+function indexPostDependencies(mdFilePath) {
+  const deps = { assets: new Set(), links: new Set(), fm: {} };
+  try {
+    const { data: fm, content } = matter(readFileWithContext(mdFilePath, "markdown post", "utf8"));
+    deps.fm = fm;
+    addImageDependencies(deps.assets, mdFilePath, referencedImageSrcs(fm, content));
+    for (const [filePath] of collectPostLinkSlugs(mdFilePath, content)) {
+      deps.links.add(resolvePath(mdFilePath, filePath));
+    }
+  } catch {
+    // Unreadable or invalid posts are reported by the import itself;
+    // they still get re-imported when their own file changes.
+  }
+  postDependencies.set(path.resolve(mdFilePath), deps);
+}
 
-  // Check for slug collisions
-  checkSlugCollision(slug, mdFilePath);
+function indexProfileDependencies() {
+  profileAssets.clear();
+  for (const profile of authorProfiles.values()) {
+    try {
+      addImageDependencies(profileAssets, profile.file, profileImageSrcs(profile));
+    } catch {
+      // Reported when the profile is imported
+    }
+  }
+}
 
-  // publishedAt required by schema; default to now if omitted
-  const publishedAt = fm.publishedAt || new Date().toISOString();
+function isInsideDir(filePath, dir) {
+  const rel = path.relative(dir, filePath);
+  return rel !== "" && !rel.startsWith("..") && !path.isAbsolute(rel);
+}
 
-  const excerpt = fm.excerpt || null;
+/**
+ * Keep running after the initial import: watch POSTS_DIR (recursively),
+ * AUTHORS_DIR and the directories of referenced assets, and re-import only
+ * what a change affects. A profile change re-imports the profiles, then the
+ * posts whose authors now resolve differently. Changes are debounced, and runs
+ * never overlap: changes arriving during a run are picked up by the next one.
+ *
+ * Resolves once Ctrl-C stopped the watcher (after any in-flight run).
+ */
+function watchPosts(initialFiles) {
+  const postsRoot = path.resolve(POSTS_DIR);
+  const watchers = [];
+  const watchedDirs = new Set([postsRoot]);
+  const pending = new Set();
+  let timer = null;
+  let running = null;
+  let resolveStopped;
 
-  // Normalize categories to an array of strings
-  const categories = Array.isArray(fm.categories) ? fm.categories.map(String) : [];
+  // Absolute path -> path as globbed, so slugs/logs match the initial run
+  let fileByAbs = new Map(initialFiles.map((f) => [path.resolve(f), f]));
+  for (const absPath of fileByAbs.keys()) indexPostDependencies(absPath);
+  indexProfileDependencies();
 
-  if (ONLY && slug !== ONLY) {
-    console.log(`  [skip] slug "${slug}" does not match --only "${ONLY}"`);
-    return { skipped: true };
+  const onChange = (absPath) => {
+    if (stopRequested) return;
+    pending.add(absPath);
+    clearTimeout(timer);
+    timer = setTimeout(flush, WATCH_DEBOUNCE_MS);
+  };
+
+  const watchDir = (dir, options) => {
+    try {
+      watchers.push(fs.watch(dir, options, (event, name) => name && onChange(path.join(dir, String(name)))));
+    } catch (err) {
+      logWarn(`[watch] cannot watch ${dir}: ${err.message}`);
+    }
+  };
+
+  // Assets outside POSTS_DIR need their own (non-recursive) watchers
+  const watchAssetDirs = () => {
+    const assetSets = [profileAssets, ...[...postDependencies.values()].map((deps) => deps.assets)];
+    for (const assets of assetSets) {
+      for (const asset of assets) {
+        const dir = path.dirname(asset);
+        if (watchedDirs.has(dir) || isInsideDir(dir, postsRoot) || !fs.existsSync(dir)) continue;
+        watchedDirs.add(dir);
+        watchDir(dir, {});
+      }
+    }
+  };
+
+  async function runAffected() {
+    const changed = [...pending];
+    pending.clear();
+
+    const previousFiles = fileByAbs;
+    fileByAbs = new Map(globPostFiles().map((f) => [path.resolve(f), f]));
+    runFiles.clear();
+    for (const absPath of fileByAbs.keys()) runFiles.add(absPath);
+
+    const affected = new Set();
+
+    if (changed.some((p) => isAuthorProfilePath(p) || profileAssets.has(p))) {
+      const authorsOf = ({ fm }) => JSON.stringify(resolvedAuthorProfiles(fm));
+      const before = new Map([...postDependencies].map(([absPath, deps]) => [absPath, authorsOf(deps)]));
+      logConsole.log("\n[watch] author profiles changed");
+      authorProfiles.clear();
+      await importAuthorProfiles();
+      indexProfileDependencies();
+      watchAssetDirs();
+      for (const [absPath, deps] of postDependencies) {
+        if (authorsOf(deps) !== before.get(absPath)) affected.add(absPath);
+      }
+    }
+
+    for (const changedPath of changed) {
+      if (fileByAbs.has(changedPath)) affected.add(changedPath);
+      for (const [absPath, { assets, links }] of postDependencies) {
+        if (assets.has(changedPath) || links.has(changedPath)) affected.add(absPath);
+      }
+      if (previousFiles.has(changedPath) && !fileByAbs.has(changedPath)) {
+        postDependencies.delete(changedPath);
+        affected.delete(changedPath);
+        logConsole.log(`\n[watch] removed: ${previousFiles.get(changedPath)} (its post is left in Sanity)`);
+      }
+    }
+    if (affected.size === 0) return;
+
+    // Slugs may have changed: forget what this run is about to recompute
+    linkedPostSlugs.clear();
+    const files = [...affected].map((absPath) => fileByAbs.get(absPath));
+    for (const [slug, file] of slugToFile) {
+      if (files.includes(file) || !fileByAbs.has(path.resolve(file))) slugToFile.delete(slug);
+    }
+
+    logConsole.log(`\n[watch] ${files.length} post(s) affected`);
+    let ok = 0;
+    let unchanged = 0;
+    let fail = 0;
+    for (let i = 0; i < files.length && !stopRequested; i++) {
+      try {
+        const res = await importFile(files[i], i, files.length);
+        if (res?.unchanged) unchanged++;
+        else if (!res?.skipped) ok++;
+      } catch (e) {
+        fail++;
+        logError(`  [error] ${e.message}`);
+      }
+      indexPostDependencies(files[i]);
+    }
+    watchAssetDirs();
+
+    logConsole.log(`[watch] done: ${ok} imported, ${unchanged} unchanged, ${fail} failed`);
   }
 
-  // Author reference (required by schema)
-  const authorRef = await ensureAuthor({ authorId: fm.authorId, author: fm.author });
+  function flush() {
+    timer = null;
+    if (running) return; // picked up when the current run finishes
+    running = runAffected()
+      .catch((e) => console.error(`[watch] run failed: ${e.message}`))
+      .finally(() => {
+        running = null;
+        if (stopRequested) resolveStopped();
+        else if (pending.size > 0 && !timer) flush();
+        else logConsole.log("[watch] waiting for changes... (Ctrl-C to stop)");
+      });
+  }
 
-  // Cover image (required by your workflow)
-  const absCover = resolvePath(mdFilePath, fm.mainImage);
-  if (!absCover || !fs.existsSync(absCover)) {
-    throw new Error(`mainImage file not found: ${fm.mainImage} (resolved: ${absCover})`);
+  watchDir(postsRoot, { recursive: true });
+  const authorsRoot = path.resolve(AUTHORS_DIR);
+  if (fs.existsSync(authorsRoot) && !isInsideDir(authorsRoot, postsRoot)) {
+    watchedDirs.add(authorsRoot);
+    watchDir(authorsRoot, {});
   }
+  watchAssetDirs();
+  logConsole.log(`\n[watch] watching ${watchedDirs.size} director${watchedDirs.size === 1 ? "y" : "ies"} (Ctrl-C to stop)`);
 
-  const coverAsset = await uploadImageAsset(absCover);
+  return new Promise((resolve) => {
+    resolveStopped = () => {
+      for (const watcher of watchers) watcher.close();
+      logConsole.log("[watch] stopped");
+      resolve();
+    };
+    // The first Ctrl-C (see installInterruptHandler) lets a running import finish
+    process.on("SIGINT", () => {
+      clearTimeout(timer);
+      if (!running) resolveStopped();
+    });
+  });
+}
 
-  const mainImage = {
-    _type: "image",
-    asset: { _type: "reference", _ref: coverAsset._id },
-    alt: String(fm.mainImageAlt),
-  };
+// ------------------------------
+// Run reports (--report)
+// ------------------------------
+
+/**
+ * Report entry of the file being imported (bound per file, so concurrent
+ * imports never mix their entries):
+ * { file, status, slug, docId, mutations, assets, warnings, errors }
+ */
+const fileReportStore = new AsyncLocalStorage();
 
-  // Body Portable Text with inline images
-  const body = await markdownToPortableTextWithInlineImages(mdFilePath, content);
+const fileReports = [];
 
-  // Deterministic ID for idempotency: re-running updates the same post
-  const docId = makeDocumentId("post", slug);
-  const doc = {
-    _id: docId,
-    _type: "post",
-    title,
-    slug: { _type: "slug", current: slug },
-    author: { _type: "reference", _ref: authorRef },
-    mainImage,
-    publishedAt,
-    excerpt,
-    body,
-    categories,
+function createFileReport(mdFilePath) {
+  const report = {
+    file: path.relative(process.cwd(), mdFilePath),
+    status: null,
+    slug: null,
+    docId: null,
+    mutations: [],
+    assets: [],
+    warnings: [],
+    errors: [],
   };
+  if (REPORT) fileReports.push(report);
+  return report;
+}
 
-  if (!WRITE) {
-    console.log(`  [dry] would upsert: ${docId}`);
-    return { dry: true, slug };
+/**
+ * An error pointing at the Markdown source: `{ key }` is a frontmatter key,
+ * `{ text }` text in the body. Several problems at once go in `details`
+ * instead: [{ message, key?, text? }].
+ */
+function sourceError(message, source) {
+  return Object.assign(new Error(message), { source });
+}
+
+/**
+ * Record a planned ("planned"), queued (--atomic) or performed mutation on
+ * the current file's report. Returns the entry, or null outside a file.
+ */
+function reportMutation(mutation, status = WRITE ? "performed" : "planned") {
+  const report = fileReportStore.getStore();
+  if (!report) return null;
+  const [[action, target]] = Object.entries(mutation);
+  const entry = { action, id: target._id || target.id, status };
+  report.mutations.push(entry);
+  return entry;
+}
+
+function reportAsset(filename, assetId, status) {
+  fileReportStore.getStore()?.assets.push({ filename, assetId, status });
+}
+
+function reportWarning(parts) {
+  const report = fileReportStore.getStore();
+  if (!report) return;
+  report.warnings.push({ message: parts.join(" ").trim().replace(/^\[warn\]\s*/, "") });
+}
+
+/**
+ * 1-based line/column of a source hint in the raw Markdown file, or {}.
+ */
+function locateInSource(raw, { key, text, line, column } = {}, { yaml = false } = {}) {
+  if (line) return { line, column };
+  const lines = raw.split("\n");
+  const bodyStart = lines[0]?.trim() === "---" ? lines.indexOf("---", 1) + 1 : 0;
+
+  if (key) {
+    const keyPattern = new RegExp(`^\\s*["']?${key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}["']?\\s*:`);
+    const [first, end] = yaml ? [0, lines.length] : [1, bodyStart - 1];
+    for (let i = first; i < end; i++) {
+      if (keyPattern.test(lines[i])) return { line: i + 1, column: lines[i].indexOf(key) + 1 };
+    }
   }
 
-  await withRetry(
-    () => client.createOrReplace(doc),
-    { context: `upsert post "${slug}"` }
-  );
-  console.log(`  [ok] upserted: ${docId}`);
-  return { slug };
+  if (text) {
+    const offset = raw.indexOf(text, lines.slice(0, bodyStart).join("\n").length);
+    if (offset >= 0) {
+      const before = raw.slice(0, offset).split("\n");
+      return { line: before.length, column: before.at(-1).length + 1 };
+    }
+  }
+  return {};
+}
+
+/**
+ * Report errors for a failed file, with source positions where known.
+ * YAML syntax errors carry their own position (0-based, counted from the
+ * opening `---` line).
+ */
+function reportErrors(report, err, mdFilePath) {
+  let raw = "";
+  try {
+    raw = fs.readFileSync(mdFilePath, "utf8");
+  } catch {
+    // Positions are best-effort
+  }
+  const hints = err.details || [{
+    message: err.message,
+    ...(err.mark ? { line: err.mark.line + 1, column: err.mark.column + 1 } : err.source),
+  }];
+  // Author profiles may be plain YAML files
+  const yaml = /\.ya?ml$/.test(mdFilePath);
+  for (const { message, ...hint } of hints) {
+    report.errors.push({ message, ...locateInSource(raw, hint, { yaml }) });
+  }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+function formatPosition(file, { line, column }) {
+  return line ? `${file}:${line}:${column}` : file;
+}
+
+/**
+ * One <testcase> per file: failed files fail, files that were not imported
+ * (skipped, unchanged, resumed, not run) are skipped.
+ */
+function renderJunitReport(report) {
+  const skippedStatuses = new Set(["skipped", "unchanged", "resumed", "not-run"]);
+  const failures = report.files.filter((f) => f.status === "failed").length;
+  const skipped = report.files.filter((f) => skippedStatuses.has(f.status)).length;
+  const seconds = ((Date.parse(report.finishedAt) - Date.parse(report.startedAt)) / 1000).toFixed(3);
+
+  const cases = report.files.map((f) => {
+    const lines = [
+      `status: ${f.status}`,
+      f.docId && `document: ${f.docId}`,
+      ...f.mutations.map((m) => `mutation: ${m.action} ${m.id} (${m.status})`),
+      ...f.assets.map((a) => `asset: ${a.filename} -> ${a.assetId} (${a.status})`),
+      ...f.warnings.map((w) => `warning: ${w.message}`),
+    ].filter(Boolean);
+
+    let inner = "";
+    if (f.status === "failed") {
+      const details = f.errors.map((e) => `${formatPosition(f.file, e)}: ${e.message}`).join("\n");
+      inner += `\n      <failure message="${escapeXml((f.errors[0]?.message || "failed").split("\n")[0])}" type="error">${escapeXml(details)}</failure>`;
+    } else if (skippedStatuses.has(f.status)) {
+      inner += `\n      <skipped message="${escapeXml(f.status)}"/>`;
+    }
+    inner += `\n      <system-out>${escapeXml(lines.join("\n"))}</system-out>`;
+
+    return `    <testcase classname="${escapeXml(path.dirname(f.file))}" name="${escapeXml(path.basename(f.file))}" file="${escapeXml(f.file)}">${inner}\n    </testcase>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${IMPORTER_MARKER}" tests="${report.files.length}" failures="${failures}" skipped="${skipped}" time="${seconds}">`,
+    `  <testsuite name="${escapeXml(POSTS_DIR)}" tests="${report.files.length}" failures="${failures}" errors="0" skipped="${skipped}" timestamp="${report.startedAt}" time="${seconds}">`,
+    ...cases,
+    "  </testsuite>",
+    "</testsuites>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Write the --report to --report-file, or to stdout.
+ */
+function writeRunReport(report) {
+  const output = REPORT === "junit" ? renderJunitReport(report) : JSON.stringify(report, null, 2) + "\n";
+  if (!REPORT_FILE) {
+    process.stdout.write(output);
+    return;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(REPORT_FILE)), { recursive: true });
+  fs.writeFileSync(REPORT_FILE, output);
+  logConsole.log(`\nReport (${REPORT}) written to ${REPORT_FILE}`);
 }
 
 // ------------------------------
@@ -780,50 +5073,233 @@ async function importFile(mdFilePath, index, total) {
 // ------------------------------
 
 async function main() {
-  console.log("Helixbytes Blog Importer");
-  console.log("========================");
-  console.log(`Mode: ${WRITE ? "WRITE" : "DRY-RUN"}${DRAFT ? " (drafts)" : ""}`);
-  console.log(`Posts directory: ${POSTS_DIR}`);
-  console.log(`Dataset: ${SANITY_DATASET}`);
-  if (ONLY) console.log(`Filter: --only ${ONLY}`);
-
-  const files = globSync(path.join(POSTS_DIR, "**/*.md"));
+  logConsole.log("Helixbytes Blog Importer");
+  logConsole.log("========================");
+
+  if (COMMAND === "publish-due") {
+    logConsole.log(`Command: publish-due (${WRITE ? "WRITE" : "DRY-RUN"})`);
+    logConsole.log(`Dataset: ${SANITY_DATASET}`);
+    if (NOW) logConsole.log(`Clock: --now ${NOW.toISOString()}`);
+    if (await publishDuePosts() > 0) process.exit(1);
+    return;
+  }
+
+  if (SLUG_COMMANDS.has(COMMAND)) {
+    logConsole.log(`Command: ${COMMAND} (${WRITE ? "WRITE" : "DRY-RUN"})`);
+    logConsole.log(`Dataset: ${SANITY_DATASET}`);
+    await runDocumentCommand(COMMAND, COMMAND_SLUG, COMMAND_TYPE || importConfig.documentType);
+    return;
+  }
+
+  logConsole.log(`Mode: ${WRITE ? "WRITE" : "DRY-RUN"}${DRAFT ? " (drafts)" : ""}`);
+  logConsole.log(`Posts directory: ${POSTS_DIR}`);
+  if (fs.existsSync(AUTHORS_DIR)) logConsole.log(`Authors directory: ${AUTHORS_DIR}`);
+  logConsole.log(`Dataset: ${SANITY_DATASET}`);
+  logConsole.log(`Config: ${importConfigSource} (type "${importConfig.documentType}")`);
+  if (ONLY) logConsole.log(`Filter: --only ${ONLY}`);
+  if (FORCE) logConsole.log("Force: re-importing unchanged posts");
+  if (DIFF) logConsole.log("Diff: comparing against live documents");
+  if (PRUNE) logConsole.log(`Prune: ${UNPUBLISH ? "unpublish" : "delete"} orphaned posts`);
+  if (ATOMIC) logConsole.log("Atomic: all document mutations in one transaction");
+  if (CONCURRENCY > 1) logConsole.log(`Concurrency: ${CONCURRENCY}`);
+  if (RESUME) logConsole.log(`Resume: continuing from ${CHECKPOINT_PATH}`);
+  if (WATCH) logConsole.log("Watch: re-importing affected posts on change");
+  if (REPORT) logConsole.log(`Report: ${REPORT} -> ${REPORT_FILE || "stdout"}`);
+  if (NOW) logConsole.log(`Clock: --now ${NOW.toISOString()}`);
+
+  const files = globPostFiles();
+  for (const f of files) runFiles.add(path.resolve(f));
   if (!files.length) {
-    console.log(`\nNo markdown files found in ${POSTS_DIR}`);
+    logConsole.log(`\nNo markdown files found in ${POSTS_DIR}`);
     return;
   }
 
-  console.log(`Found ${files.length} markdown file(s)`);
+  logConsole.log(`Found ${files.length} markdown file(s)`);
+
+  initCheckpoint();
+  installInterruptHandler();
 
   let ok = 0;
   let fail = 0;
   let skipped = 0;
+  let unchanged = 0;
+  let pruned = 0;
+  let resumed = 0;
+  let notStarted = 0;
+  const knownIds = new Set();
+
+  const startedAt = new Date().toISOString();
+
+  // Profiles count like posts in the totals; the summary also lists them apart
+  const authors = await importAuthorProfiles();
+  ok += authors.ok;
+  unchanged += authors.unchanged;
+  fail += authors.failed;
+
+  async function importOne(f, i) {
+    const report = createFileReport(f);
+
+    if (stopRequested) {
+      notStarted++;
+      report.status = "not-run";
+      return;
+    }
+
+    if (isFileCompleted(f)) {
+      resumed++;
+      knownIds.add(publishedIdOf(checkpoint.completed[f]));
+      report.status = "resumed";
+      report.docId = checkpoint.completed[f];
+      log(`\n[${i + 1}/${files.length}] ${path.basename(f)}`);
+      log("  [resume] already completed in the interrupted run");
+      return;
+    }
 
-  for (let i = 0; i < files.length; i++) {
-    const f = files[i];
     try {
-      const res = await importFile(f, i, files.length);
+      const res = await fileReportStore.run(report, () => importFile(f, i, files.length));
+      if (res?.docId) knownIds.add(publishedIdOf(res.docId));
+      // --atomic posts are only complete once their transaction chunk commits.
+      if (res?.unchanged || (res?.docId && !ATOMIC)) markFileCompleted(f, res.docId);
       if (res?.skipped) skipped++;
+      else if (res?.unchanged) unchanged++;
       else ok++;
+      report.slug = res?.slug ?? report.slug;
+      report.docId = res?.docId ?? report.docId;
+      report.status =
+        res?.skipped ? "skipped" :
+        res?.unchanged ? "unchanged" :
+        !WRITE ? "dry-run" :
+        ATOMIC ? "queued" : "written";
     } catch (e) {
       fail++;
-      console.error(`  [error] ${e.message}`);
+      report.status = "failed";
+      reportErrors(report, e, f);
+      logError(`  [error] ${e.message}`);
       // In --check mode, keep scanning all files and then exit non-zero at end.
-      if (CHECK) continue;
     }
   }
 
-  console.log("\n------------------------");
-  console.log("Summary:");
-  console.log(`  Success: ${ok}`);
-  console.log(`  Skipped: ${skipped}`);
-  console.log(`  Failed:  ${fail}`);
-  console.log(`  Mode:    ${WRITE ? "WRITE" : "DRY-RUN"}${DRAFT ? " (drafts)" : ""}`);
+  if (CONCURRENCY === 1) {
+    // Sequential: stream output live as each file is processed.
+    for (let i = 0; i < files.length; i++) {
+      await importOne(files[i], i);
+    }
+  } else {
+    // Concurrent: each file's output is buffered and flushed as one block.
+    let nextIndex = 0;
+    const worker = async () => {
+      while (nextIndex < files.length) {
+        const i = nextIndex++;
+        const buffer = [];
+        await fileLogStore.run(buffer, () => importOne(files[i], i));
+        for (const [method, parts] of buffer) logConsole[method](...parts);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, files.length) }, worker));
+  }
+
+  const interrupted = notStarted > 0;
+  if (interrupted) {
+    console.error(`\n[interrupt] Stopped before ${notStarted} file(s); skipping prune and commit.`);
+  }
+
+  if (PRUNE && !interrupted) {
+    // A file that failed to import has no known ID, so its post would look
+    // orphaned. Never prune on a partial picture.
+    if (fail > 0) {
+      console.error("\n[error] --prune skipped: fix failed files first");
+    } else {
+      pruned = await prunePosts(knownIds);
+    }
+  }
+
+  let atomicFailed = false;
+  if (ATOMIC && pendingMutations.length > 0 && !interrupted) {
+    logConsole.log("\nTransaction:");
+    if (fail > 0) {
+      // All-or-nothing: a single failed file means nothing is committed.
+      atomicFailed = true;
+      console.error(`  [error] not committing ${pendingMutations.length} mutation(s): ${fail} file(s) failed`);
+    } else if (!WRITE) {
+      const chunks = chunkMutations(pendingMutations);
+      logConsole.log(`  [dry] would commit ${pendingMutations.length} mutation(s) in ${chunks.length} transaction chunk(s)`);
+    } else {
+      try {
+        await commitMutationsInChunks(client, pendingMutations);
+      } catch (e) {
+        atomicFailed = true;
+        console.error(`  [error] ${e.message}`);
+      }
+    }
+  }
+
+  logConsole.log("\n------------------------");
+  logConsole.log("Summary:");
+  logConsole.log(`  Success:   ${ok}`);
+  logConsole.log(`  Unchanged: ${unchanged}`);
+  logConsole.log(`  Skipped:   ${skipped}`);
+  logConsole.log(`  Failed:    ${fail}`);
+  if (PRUNE) logConsole.log(`  Pruned:    ${pruned}`);
+  if (RESUME) logConsole.log(`  Resumed:   ${resumed}`);
+  if (authorProfiles.size > 0 || authors.failed > 0) {
+    logConsole.log(`  Authors:   ${authors.ok} imported, ${authors.unchanged} unchanged, ${authors.failed} failed`);
+  }
+  if (interrupted) logConsole.log(`  Not run:   ${notStarted}`);
+  logConsole.log(`  Mode:      ${WRITE ? "WRITE" : "DRY-RUN"}${DRAFT ? " (drafts)" : ""}`);
+
+  if (REPORT) {
+    // --atomic posts count as written once all their mutations were committed
+    for (const report of fileReports) {
+      if (report.status !== "queued") continue;
+      report.status = report.mutations.every((m) => m.status === "performed") ? "written" : "not-committed";
+    }
+    writeRunReport({
+      version: 1,
+      tool: IMPORTER_MARKER,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      dataset: SANITY_DATASET,
+      postsDir: POSTS_DIR,
+      mode: { write: WRITE, draft: DRAFT, check: CHECK, atomic: ATOMIC, prune: PRUNE },
+      summary: { files: fileReports.length, success: ok, unchanged, skipped, failed: fail, pruned, resumed, notRun: notStarted, authors },
+      files: fileReports,
+    });
+  }
+
+  if (checkpoint) {
+    if (fail > 0 || interrupted || atomicFailed) {
+      logConsole.log(`\nCheckpoint saved. Resume with:\n  ${resumeCommand()}`);
+    } else {
+      clearCheckpoint();
+    }
+  }
+
+  if (interrupted) process.exit(130);
+
+  if (WATCH) {
+    await watchPosts(files);
+    return;
+  }
 
   if (CHECK && fail > 0) process.exit(2);
+  if (atomicFailed) process.exit(1);
 }
 
-main().catch((e) => {
-  console.error("\nFatal error:", e.message);
-  process.exit(1);
-});
+// Only run when executed directly, so the helpers exported below can be
+// imported (e.g. to test transaction chunking against a mocked client).
+if (IS_CLI) {
+  main().catch((e) => {
+    console.error("\nFatal error:", e.message);
+    process.exit(1);
+  });
+}
+
+export {
+  chunkMutations,
+  commitMutationsInChunks,
+  extractFootnotes,
+  extractInlineImages,
+  fetchRemoteImage,
+  parseFenceInfo,
+  validateAgainstSchema,
+};
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { chunkMutations, commitMutationsInChunks } from "../scripts/import-posts.mjs";
+
+/** A client whose transactions record their mutations; `failAt` (1-based) rejects that commit. */
+function mockClient({ failAt } = {}) {
+  const commits = [];
+  return {
+    commits,
+    transaction(mutations) {
+      return {
+        async commit() {
+          if (commits.length + 1 === failAt) {
+            throw Object.assign(new Error("Conflict"), { statusCode: 409 });
+          }
+          commits.push(mutations);
+          return { results: mutations.map(() => ({})) };
+        },
+      };
+    },
+  };
+}
+
+function entries(count, onCommit) {
+  return Array.from({ length: count }, (_, i) => ({
+    mutation: { createOrReplace: { _id: `post-${i}`, _type: "post" } },
+    onCommit: () => onCommit?.(i),
+  }));
+}
+
+test("chunkMutations splits by mutation count", () => {
+  const chunks = chunkMutations(entries(5), { maxMutations: 2 });
+  assert.deepEqual(chunks.map((c) => c.length), [2, 2, 1]);
+});
+
+test("chunkMutations splits by size, keeping an oversized mutation on its own", () => {
+  const big = { mutation: { createOrReplace: { _id: "big", body: "x".repeat(500) } } };
+  const chunks = chunkMutations([...entries(2), big, ...entries(1)], { maxBytes: 200 });
+  assert.deepEqual(chunks.map((c) => c.length), [2, 1, 1]);
+  assert.equal(chunks[1][0], big);
+});
+
+test("commitMutationsInChunks commits chunks in order and runs onCommit", async () => {
+  const client = mockClient();
+  const committed = [];
+  const count = await commitMutationsInChunks(client, entries(5, (i) => committed.push(i)), {
+    maxMutations: 2,
+  });
+
+  assert.equal(count, 3);
+  assert.deepEqual(
+    client.commits.map((muts) => muts.map((m) => m.createOrReplace._id)),
+    [["post-0", "post-1"], ["post-2", "post-3"], ["post-4"]]
+  );
+  assert.deepEqual(committed, [0, 1, 2, 3, 4]);
+});
+
+test("commitMutationsInChunks reports a failed chunk and what was not applied", async () => {
+  const client = mockClient({ failAt: 2 });
+  const committed = [];
+
+  await assert.rejects(
+    commitMutationsInChunks(client, entries(5, (i) => committed.push(i)), { maxMutations: 2 }),
+    {
+      message:
+        "transaction chunk 2/3 failed (2 mutation(s)): Conflict. " +
+        "Chunk 1 was already committed. 3 mutation(s) not applied.",
+    }
+  );
+  assert.equal(client.commits.length, 1);
+  assert.deepEqual(committed, [0, 1]);
+});
+
+test("commitMutationsInChunks changes nothing when the first chunk fails", async () => {
+  const client = mockClient({ failAt: 1 });
+
+  await assert.rejects(
+    commitMutationsInChunks(client, entries(3), { maxMutations: 2 }),
+    /^Error: transaction chunk 1\/2 failed .*No documents were changed\. 3 mutation\(s\) not applied\.$/
+  );
+  assert.equal(client.commits.length, 0);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseFenceInfo } from "../scripts/import-posts.mjs";
+
+test("reads language, title= and a highlighted line range", () => {
+  assert.deepEqual(parseFenceInfo('ts title="app.ts" {2-4}', 10), {
+    language: "typescript",
+    filename: "app.ts",
+    highlightedLines: [2, 3, 4],
+  });
+});
+
+test("accepts filename= and unquoted values", () => {
+  assert.deepEqual(parseFenceInfo("js filename=index.js", 3), {
+    language: "javascript",
+    filename: "index.js",
+    highlightedLines: [],
+  });
+  assert.equal(parseFenceInfo("sh title='run it.sh'", 1).filename, "run it.sh");
+});
+
+test("merges line lists and drops lines past the block", () => {
+  assert.deepEqual(parseFenceInfo("py {5,1,3-4,99}", 4).highlightedLines, [1, 3, 4]);
+  assert.deepEqual(parseFenceInfo("yml {1-1000000000}", 3).highlightedLines, [1, 2, 3]);
+});
+
+test("normalizes language aliases and case", () => {
+  assert.equal(parseFenceInfo("Bash", 1).language, "sh");
+  assert.equal(parseFenceInfo("YAML", 1).language, "yaml");
+  assert.equal(parseFenceInfo("elixir", 1).language, "elixir");
+});
+
+test("an empty info string or attributes alone give no language", () => {
+  assert.deepEqual(parseFenceInfo("", 3), { language: undefined, filename: undefined, highlightedLines: [] });
+  assert.equal(parseFenceInfo('title="notes.txt"', 1).language, undefined);
+});
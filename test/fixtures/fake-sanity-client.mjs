@@ -0,0 +1,65 @@
+import fs from "node:fs";
+import { register } from "node:module";
+import { isMainThread } from "node:worker_threads";
+
+/**
+ * Stand-in for @sanity/client when the CLI runs in a test subprocess:
+ *
+ *   node --import ./test/fixtures/fake-sanity-client.mjs scripts/import-posts.mjs ...
+ *
+ * Documents live in the JSON file at FAKE_SANITY_DB as
+ * { documents: { [id]: doc }, transactions: [[mutation, ...], ...] }, so the
+ * test can seed it before the run and inspect it afterwards. Only the client
+ * methods the covered commands use are implemented.
+ */
+
+// Preloaded with --import: route @sanity/client to this file. The hooks run
+// on their own thread, where this module is loaded again for `resolve`.
+if (isMainThread) register(import.meta.url);
+
+export async function resolve(specifier, context, next) {
+  if (specifier === "@sanity/client") return { url: import.meta.url, shortCircuit: true };
+  return next(specifier, context);
+}
+
+function load() {
+  return JSON.parse(fs.readFileSync(process.env.FAKE_SANITY_DB, "utf8"));
+}
+
+function save(db) {
+  fs.writeFileSync(process.env.FAKE_SANITY_DB, JSON.stringify(db, null, 2));
+}
+
+export function createClient() {
+  return {
+    async getDocument(id) {
+      return load().documents[id];
+    },
+
+    // Only used to count references: count(*[references($id) && _id != $from])
+    async fetch(query, params = {}) {
+      if (!query.startsWith("count(*[references($id)")) {
+        throw new Error(`fake client: unsupported query ${query}`);
+      }
+      return Object.values(load().documents).filter(
+        (doc) => doc._id !== params.from && JSON.stringify(doc).includes(`"_ref":"${params.id}"`)
+      ).length;
+    },
+
+    transaction(mutations) {
+      return {
+        async commit() {
+          const db = load();
+          for (const mutation of mutations) {
+            if (mutation.createOrReplace) db.documents[mutation.createOrReplace._id] = mutation.createOrReplace;
+            else if (mutation.delete) delete db.documents[mutation.delete.id];
+            else throw new Error(`fake client: unsupported mutation ${JSON.stringify(mutation)}`);
+          }
+          db.transactions.push(mutations);
+          save(db);
+          return { results: mutations.map(() => ({})) };
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { extractFootnotes } from "../scripts/import-posts.mjs";
+
+test("replaces references with tokens numbered by first reference", () => {
+  const { markdown, footnotes } = extractFootnotes(
+    "B[^b] then A[^a] then B again[^b].\n\n[^a]: Note A\n[^b]: Note B\n    continued\n"
+  );
+
+  assert.equal(
+    markdown,
+    "B[[[SANITY_FOOTNOTE_1]]] then A[[[SANITY_FOOTNOTE_2]]] then B again[[[SANITY_FOOTNOTE_1]]].\n\n"
+  );
+  assert.deepEqual(
+    footnotes.map(({ label, number, text }) => ({ label, number, text })),
+    [
+      { label: "b", number: 1, text: "Note B\ncontinued" },
+      { label: "a", number: 2, text: "Note A" },
+    ]
+  );
+});
+
+test("leaves references in code spans and fenced code alone", () => {
+  const source = "Use `[^1]` literally[^1].\n\n```\nx[^1]\n```\n\n[^1]: Note\n";
+  const { markdown, footnotes } = extractFootnotes(source);
+
+  assert.equal(markdown, "Use `[^1]` literally[[[SANITY_FOOTNOTE_1]]].\n\n```\nx[^1]\n```\n\n");
+  assert.equal(footnotes.length, 1);
+});
+
+test("keeps references in table cells as text and reports them", () => {
+  const { markdown, footnotes, tableCells, unused } = extractFootnotes(
+    "| a | b |\n|---|---|\n| x[^1] | y |\n\n[^1]: Note\n"
+  );
+
+  assert.match(markdown, /\| x\[\^1\] \| y \|/);
+  assert.deepEqual(footnotes, []);
+  assert.deepEqual(tableCells, ["1"]);
+  assert.deepEqual(unused, ["1"]);
+});
+
+test("reports missing and unused labels", () => {
+  const { markdown, missing, unused } = extractFootnotes("Text[^nope].\n\n[^spare]: Never used\n");
+
+  assert.equal(markdown, "Text[^nope].\n\n");
+  assert.deepEqual(missing, ["nope"]);
+  assert.deepEqual(unused, ["spare"]);
+});
+
+test("handles CRLF line endings", () => {
+  const { markdown, footnotes } = extractFootnotes("One[^1]\r\n\r\n[^1]: Note\r\n");
+
+  assert.equal(markdown, "One[[[SANITY_FOOTNOTE_1]]]\n\n");
+  assert.equal(footnotes[0].text, "Note");
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { extractInlineImages } from "../scripts/import-posts.mjs";
+
+test("replaces an inline image with a token, keeping alt text and caption", () => {
+  const { rewrittenMarkdown, images } = extractInlineImages('Before ![A chart](./chart.png "Q3 numbers") after\n');
+
+  assert.equal(rewrittenMarkdown, "Before [[[SANITY_IMAGE_0]]] after\n");
+  assert.deepEqual(images, [
+    { token: "[[[SANITY_IMAGE_0]]]", src: "./chart.png", alt: "A chart", caption: "Q3 numbers", link: null },
+  ]);
+});
+
+test("resolves reference-style images through their definition", () => {
+  const { rewrittenMarkdown, images } = extractInlineImages('![Logo][logo]\n\n[logo]: ./assets/logo.png "Our logo"\n');
+
+  assert.match(rewrittenMarkdown, /^\[\[\[SANITY_IMAGE_0\]\]\]\n/);
+  assert.deepEqual(
+    images.map(({ src, alt, caption }) => ({ src, alt, caption })),
+    [{ src: "./assets/logo.png", alt: "Logo", caption: "Our logo" }]
+  );
+});
+
+test("replaces a link around only an image as a whole and keeps its target", () => {
+  const { rewrittenMarkdown, images } = extractInlineImages("[![build](./badge.svg)](https://ci.example)\n");
+
+  assert.equal(rewrittenMarkdown, "[[[SANITY_IMAGE_0]]]\n");
+  assert.equal(images[0].link, "https://ci.example");
+});
+
+test("reads <img> tags inline and as HTML blocks", () => {
+  const { rewrittenMarkdown, images } = extractInlineImages(
+    'Inline <img src="a.png" alt="A"> here\n\n<p align="center">\n  <a href="https://x.example"><img src="b.png" alt="B" title="Bee"></a>\n</p>\n'
+  );
+
+  assert.equal(rewrittenMarkdown, "Inline [[[SANITY_IMAGE_0]]] here\n\n[[[SANITY_IMAGE_1]]]\n");
+  assert.deepEqual(
+    images.map(({ src, alt, caption, link }) => ({ src, alt, caption, link })),
+    [
+      { src: "a.png", alt: "A", caption: "", link: null },
+      { src: "b.png", alt: "B", caption: "Bee", link: "https://x.example" },
+    ]
+  );
+});
+
+test("leaves code untouched and reports images it cannot import", () => {
+  const source = [
+    "`![no](code.png)`",
+    "",
+    "```md",
+    "![no](fenced.png)",
+    "```",
+    "",
+    "| h |",
+    "|---|",
+    "| ![cell](d.png) |",
+    "",
+    "<div>Text <img src=\"e.png\"></div>",
+    "",
+  ].join("\n");
+  const { rewrittenMarkdown, images, unsupported } = extractInlineImages(source);
+
+  assert.deepEqual(images, []);
+  assert.match(rewrittenMarkdown, /`!\[no\]\(code\.png\)`/);
+  assert.match(rewrittenMarkdown, /!\[no\]\(fenced\.png\)/);
+  assert.match(rewrittenMarkdown, /\| cell \|/);
+  assert.deepEqual(unsupported, [
+    { src: "d.png", reason: "table cell, kept as alt text" },
+    { src: "e.png", reason: "HTML block with text, left as HTML" },
+  ]);
+});
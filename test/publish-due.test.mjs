@@ -0,0 +1,124 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SCRIPT = fileURLToPath(new URL("../scripts/import-posts.mjs", import.meta.url));
+const FAKE_CLIENT = fileURLToPath(new URL("./fixtures/fake-sanity-client.mjs", import.meta.url));
+
+let dir;
+let dbPath;
+let schedulePath;
+
+/** A draft written by an earlier --write run, waiting to be published. */
+function scheduledDraft(slug) {
+  return {
+    _id: `drafts.post-${slug}`,
+    _type: "post",
+    title: slug,
+    slug: { _type: "slug", current: slug },
+    importedBy: "hlyx-blog-cli",
+  };
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "publish-due-test-"));
+  dbPath = path.join(dir, "db.json");
+  schedulePath = path.join(dir, "state", "schedule.test.production.json");
+
+  fs.writeFileSync(dbPath, JSON.stringify({
+    documents: {
+      "drafts.post-early": scheduledDraft("early"),
+      "drafts.post-late": scheduledDraft("late"),
+    },
+    transactions: [],
+  }));
+  fs.mkdirSync(path.dirname(schedulePath));
+  fs.writeFileSync(schedulePath, JSON.stringify({
+    version: 1,
+    posts: {
+      "post-late": { draftId: "drafts.post-late", slug: "late", publishAt: "2026-03-01T09:00:00.000Z", file: "late.md" },
+      "post-early": { draftId: "drafts.post-early", slug: "early", publishAt: "2026-01-15T09:00:00.000Z", file: "early.md" },
+    },
+  }));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** Run the CLI against the fake client, from a directory without .env or import config. */
+function publishDue(...flags) {
+  const result = spawnSync(
+    process.execPath,
+    ["--import", FAKE_CLIENT, SCRIPT, "publish-due", ...flags],
+    {
+      cwd: dir,
+      encoding: "utf8",
+      timeout: 30_000,
+      env: {
+        PATH: process.env.PATH,
+        SANITY_PROJECT_ID: "test",
+        SANITY_DATASET: "production",
+        SANITY_TOKEN: "token",
+        IMPORT_STATE_DIR: path.join(dir, "state"),
+        FAKE_SANITY_DB: dbPath,
+      },
+    }
+  );
+  return {
+    status: result.status,
+    output: result.stdout + result.stderr,
+    db: JSON.parse(fs.readFileSync(dbPath, "utf8")),
+    schedule: JSON.parse(fs.readFileSync(schedulePath, "utf8")),
+  };
+}
+
+test("dry-run lists what is due at --now without writing", () => {
+  const { status, output, db, schedule } = publishDue("--now", "2026-02-01T00:00:00Z");
+
+  assert.equal(status, 0, output);
+  assert.match(output, /Clock: --now 2026-02-01T00:00:00\.000Z/);
+  assert.match(output, /Scheduled: 2 post\(s\), 1 due at 2026-02-01T00:00:00\.000Z/);
+  assert.match(output, /would publish: drafts\.post-early \(due 2026-01-15T09:00:00\.000Z\) -> post-early/);
+  assert.match(output, /\[pending\] drafts\.post-late publishes at 2026-03-01T09:00:00\.000Z/);
+  assert.deepEqual(db.transactions, []);
+  assert.deepEqual(Object.keys(schedule.posts).sort(), ["post-early", "post-late"]);
+});
+
+test("--write publishes due drafts and drops them from the schedule", () => {
+  const { status, output, db, schedule } = publishDue("--write", "--now", "2026-02-01T00:00:00Z");
+
+  assert.equal(status, 0, output);
+  assert.deepEqual(db.transactions, [[
+    { createOrReplace: { ...scheduledDraft("early"), _id: "post-early" } },
+    { delete: { id: "drafts.post-early" } },
+  ]]);
+  assert.ok(db.documents["post-early"]);
+  assert.equal(db.documents["drafts.post-early"], undefined);
+  assert.ok(db.documents["drafts.post-late"]);
+  assert.deepEqual(Object.keys(schedule.posts), ["post-late"]);
+});
+
+test("nothing is due before the earliest publish date", () => {
+  const { status, output, db } = publishDue("--write", "--now", "2026-01-15T08:59:59Z");
+
+  assert.equal(status, 0, output);
+  assert.match(output, /Scheduled: 2 post\(s\), 0 due/);
+  assert.deepEqual(db.transactions, []);
+});
+
+test("a due draft deleted elsewhere is dropped from the schedule", () => {
+  const db = JSON.parse(fs.readFileSync(dbPath, "utf8"));
+  delete db.documents["drafts.post-early"];
+  fs.writeFileSync(dbPath, JSON.stringify(db));
+
+  const { status, output, schedule } = publishDue("--write", "--now", "2026-02-01T00:00:00Z");
+
+  assert.equal(status, 0, output);
+  assert.match(output, /drafts\.post-early .*draft not found .*dropped from schedule/);
+  assert.deepEqual(Object.keys(schedule.posts), ["post-late"]);
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+
+// The script reads its env once on import, so set it up before importing
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "import-posts-test-"));
+process.env.IMPORT_STATE_DIR = stateDir;
+process.env.REMOTE_IMAGE_MAX_BYTES = "1024";
+const { fetchRemoteImage } = await import("../scripts/import-posts.mjs");
+
+const PNG = Buffer.concat([Buffer.from("\x89PNG\r\n\x1a\n", "latin1"), Buffer.alloc(16)]);
+
+/** Response per path; requests are counted so cache hits can be asserted. */
+const routes = {
+  "/cover.png": (res) => res.end(PNG),
+  "/photo.jpg": (res) => res.end(PNG),
+  "/page.html": (res) => res.end("<html></html>"),
+  "/huge.png": (res) => res.end(Buffer.concat([PNG, Buffer.alloc(2048)])),
+};
+const hits = {};
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] ?? 0) + 1;
+    const route = routes[req.url];
+    if (route) return route(res);
+    res.statusCode = 404;
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+test("downloads an image once and serves repeats from the cache", async () => {
+  const first = await fetchRemoteImage(`${baseUrl}/cover.png`);
+  assert.equal(first.contentType, "image/png");
+  assert.equal(first.filename, "cover.png");
+  assert.deepEqual(first.buf, PNG);
+
+  const second = await fetchRemoteImage(`${baseUrl}/cover.png`);
+  assert.deepEqual(second, first);
+  assert.equal(hits["/cover.png"], 1);
+  assert.equal(fs.readdirSync(path.join(stateDir, "remote-images")).length, 1);
+});
+
+test("names the upload after the sniffed type, not the URL extension", async () => {
+  const image = await fetchRemoteImage(`${baseUrl}/photo.jpg`);
+  assert.equal(image.contentType, "image/png");
+  assert.equal(image.filename, "photo.png");
+});
+
+test("rejects HTTP errors without retrying client errors", async () => {
+  await assert.rejects(fetchRemoteImage(`${baseUrl}/missing.png`), {
+    message: `Remote image request failed: ${baseUrl}/missing.png (HTTP 404)`,
+  });
+  assert.equal(hits["/missing.png"], 1);
+});
+
+test("rejects responses that are not images and does not cache them", async () => {
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(fetchRemoteImage(`${baseUrl}/page.html`), /is not a supported image/);
+  }
+  assert.equal(hits["/page.html"], 2);
+});
+
+test("rejects images over REMOTE_IMAGE_MAX_BYTES", async () => {
+  await assert.rejects(fetchRemoteImage(`${baseUrl}/huge.png`), /Remote image too large: .*limit 1024/);
+});
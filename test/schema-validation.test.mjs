@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { validateAgainstSchema } from "../scripts/import-posts.mjs";
+
+// Schema nodes in the shape `sanity schema extract` writes
+const string = { type: "string" };
+const literal = (value) => ({ type: "string", value });
+const attribute = (value, optional) => ({ type: "objectAttribute", value, ...(optional && { optional: true }) });
+const object = (required, optional = {}) => ({
+  type: "object",
+  attributes: Object.fromEntries([
+    ...Object.entries(required).map(([name, value]) => [name, attribute(value, false)]),
+    ...Object.entries(optional).map(([name, value]) => [name, attribute(value, true)]),
+  ]),
+});
+
+const span = object({ _type: literal("span"), text: string });
+const link = object({ _type: literal("link"), href: string });
+const post = object(
+  { _id: string, _type: literal("post"), title: string },
+  {
+    excerpt: string,
+    tags: { type: "array", of: string },
+    status: { type: "union", of: [literal("draft"), literal("published")] },
+    body: { type: "array", of: { type: "union", of: [span, link] } },
+  }
+);
+
+function validate(value, node = post) {
+  const errors = [];
+  validateAgainstSchema(value, node, "", errors);
+  return errors;
+}
+
+test("accepts a document matching the schema", () => {
+  assert.deepEqual(validate({
+    _id: "post-a",
+    _type: "post",
+    title: "Hello",
+    tags: ["a", "b"],
+    status: "draft",
+    body: [{ _key: "k1", _type: "span", text: "Hi" }, { _key: "k2", _type: "link", href: "https://x.example" }],
+    importedBy: "hlyx-blog-cli",
+  }), []);
+});
+
+test("reports fields that are not in the schema", () => {
+  assert.deepEqual(validate({ _type: "post", title: "Hello", subtitle: "extra" }), [
+    "subtitle: field is not in the schema",
+  ]);
+  assert.deepEqual(validate({ _type: "post", title: "Hello", body: [{ _type: "link", href: "/", rel: "x" }] }), [
+    "body[0].rel: field is not in the schema",
+  ]);
+});
+
+test("reports missing required fields, ignoring system fields", () => {
+  assert.deepEqual(validate({ _type: "post" }), ["title: required field is missing"]);
+  assert.deepEqual(validate({ _type: "post", title: null }), ["title: required field is missing"]);
+});
+
+test("reports type mismatches with their path", () => {
+  assert.deepEqual(validate({ _type: "post", title: 42, tags: ["a", 3] }), [
+    "title: expected string, got number",
+    "tags[1]: expected string, got number",
+  ]);
+  assert.deepEqual(validate({ _type: "post", title: "x", tags: "a" }), ["tags: expected array, got string"]);
+  assert.deepEqual(validate({ _type: "article", title: "x" }), ['_type: expected "post", got "article"']);
+});
+
+test("picks union members by _type and lists allowed literals", () => {
+  assert.deepEqual(validate({ _type: "post", title: "x", body: [{ _type: "image" }] }), [
+    'body[0]._type: "image" is not allowed here (allowed: span, link)',
+  ]);
+  assert.deepEqual(validate({ _type: "post", title: "x", status: "archived" }), [
+    'status: "archived" is not allowed (allowed: "draft", "published")',
+  ]);
+});